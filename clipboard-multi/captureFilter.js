@@ -0,0 +1,101 @@
+// 🚫 captureFilter.js
+// Exclusion rules for clipboard capture (`clipboardManager.capture.exclude`)
+//
+// Rules are { files: [glob], languages: [languageId], content: 'regex' }.
+// A glob without "/" matches a file name anywhere (".env", "*.log"). Globs
+// starting with "/" (or a drive letter) match the absolute path; other globs
+// match the workspace-relative path from the folder root ("secrets/**",
+// "./README.md"), unless they start with "**/" ("**/config/*.local.json"),
+// which matches at any depth. Supports *, **, ? and {a,b}.
+
+// Compile settings into matchers; invalid globs/regexes are ignored
+function compileRules(rules = {}) {
+  const files = [];
+  for (const glob of Array.isArray(rules.files) ? rules.files : []) {
+    if (typeof glob !== 'string' || !glob.trim()) continue;
+    try {
+      files.push(compileGlob(glob.trim()));
+    } catch (e) {
+      console.warn(`[Clipboard Manager] ⚠️ Ignoring invalid capture.exclude file pattern "${glob}":`, e.message);
+    }
+  }
+  const languages = new Set((Array.isArray(rules.languages) ? rules.languages : [])
+    .filter(id => typeof id === 'string')
+    .map(id => id.trim().toLowerCase()));
+  let content = null;
+  if (typeof rules.content === 'string' && rules.content) {
+    try {
+      content = new RegExp(rules.content, 'm');
+    } catch (e) {
+      console.warn('[Clipboard Manager] ⚠️ Ignoring invalid capture.exclude content pattern:', e.message);
+    }
+  }
+  return { files, languages, content };
+}
+
+// Which rule excludes this capture, as a short description, or null.
+// `path` / `relativePath` describe the source document when there is one.
+function excludedBy(compiled, { path, relativePath, languageId, text } = {}) {
+  const paths = {
+    absolute: path ? path.replace(/\\/g, '/') : null,
+    relative: relativePath ? relativePath.replace(/\\/g, '/') : null
+  };
+  const name = (paths.absolute || paths.relative || '').split('/').pop();
+  for (const { glob, regex, against } of compiled.files) {
+    const targets = against === 'name' ? [name] : against === 'any' ? [paths.absolute, paths.relative] : [paths[against]];
+    if (targets.some(target => target && regex.test(target))) return `file pattern "${glob}"`;
+  }
+  if (languageId && compiled.languages.has(languageId.toLowerCase())) return `language "${languageId}"`;
+  if (text && compiled.content && compiled.content.test(text)) return 'content pattern';
+  return null;
+}
+
+// What a glob is matched against: 'name', 'absolute', 'relative' or 'any' path
+function compileGlob(glob) {
+  let pattern = glob.replace(/\\/g, '/');
+  let against;
+  if (!pattern.includes('/')) against = 'name';
+  else if (pattern.startsWith('/') || /^[A-Za-z]:/.test(pattern)) against = 'absolute';
+  else if (pattern.startsWith('**/')) against = 'any';
+  else against = 'relative';
+  if (pattern.startsWith('./')) pattern = pattern.slice(2);
+  return { glob, regex: globToRegExp(pattern), against };
+}
+
+function globToRegExp(glob) {
+  let re = '';
+  let braces = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*' && glob[i + 1] === '*') {
+      // "**/" matches any number of folders (including none)
+      if (glob[i + 2] === '/') {
+        re += '(?:.*/)?';
+        i += 2;
+      } else {
+        re += '.*';
+        i += 1;
+      }
+    } else if (ch === '*') {
+      re += '[^/]*';
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else if (ch === '{') {
+      re += '(?:';
+      braces++;
+    } else if (ch === '}' && braces) {
+      re += ')';
+      braces--;
+    } else if (ch === ',' && braces) {
+      re += '|';
+    } else {
+      re += ch.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+module.exports = {
+  compileRules,
+  excludedBy
+};
@@ -0,0 +1,159 @@
+// 🎯 captureService.js
+// Clipboard capture: copy/cut/paste and terminal copy hooks plus adaptive
+// polling for copies made outside VS Code (recorded with origin 'external')
+//
+// Polling starts at `clipboardManager.capture.pollInterval` ms and doubles
+// after every unchanged read, up to FOCUSED_MAX_INTERVAL while the window is
+// focused and MAX_INTERVAL while it is not. A change or focusing the window
+// polls at the base interval again (focusing polls at once).
+//
+// Polls and copy/cut captures run one at a time, so a poll can't record text
+// it read before a copy replaced it.
+
+const vscode = require('vscode');
+
+const MAX_INTERVAL = 30 * 1000;
+const FOCUSED_MAX_INTERVAL = 8 * 1000;
+const MIN_INTERVAL = 250;
+
+class CaptureService {
+  // `exclude(text, meta)` returns why a capture must be skipped, or null
+  constructor(backend, exclude = () => null) {
+    this.backend = backend;
+    this.exclude = exclude;
+    this.lastText = '';
+    this._timer = null;
+    this._interval = 0;
+    this._busy = false;
+    this._queue = Promise.resolve();
+    this._disposables = [];
+    this._onDidCapture = new vscode.EventEmitter();
+    this.onDidCapture = this._onDidCapture.event;
+    this._onDidChangeState = new vscode.EventEmitter();
+    this.onDidChangeState = this._onDidChangeState.event;
+  }
+
+  get enabled() {
+    return vscode.workspace.getConfiguration('clipboardManager').get('capture.enabled', true) !== false;
+  }
+
+  get pollInterval() {
+    const value = vscode.workspace.getConfiguration('clipboardManager').get('capture.pollInterval', 1000);
+    return Math.max(MIN_INTERVAL, typeof value === 'number' ? value : 1000);
+  }
+
+  async start() {
+    this.lastText = await this._readClipboard();
+    this._disposables.push(
+      vscode.window.onDidChangeWindowState((state) => {
+        if (state.focused) {
+          this._interval = 0;
+          this.poll();
+        } else {
+          this._schedule();
+        }
+      }),
+      vscode.workspace.onDidChangeConfiguration((e) => {
+        if (e.affectsConfiguration('clipboardManager.capture')) this._onConfigChanged();
+      })
+    );
+    this._schedule();
+  }
+
+  // Pause or resume capture (kept in the `clipboardManager.capture.enabled` setting)
+  setEnabled(enabled) {
+    return vscode.workspace.getConfiguration('clipboardManager')
+      .update('capture.enabled', enabled, vscode.ConfigurationTarget.Global);
+  }
+
+  // Run a clipboard command (copy, cut) and record what it put on the clipboard
+  runAndCapture(command, meta = {}) {
+    return this._exclusive(async () => {
+      await vscode.commands.executeCommand(command);
+      if (!this.enabled) {
+        this.lastText = await this._readClipboard();
+        return false;
+      }
+      return this._capture(await this._readClipboard(), meta);
+    });
+  }
+
+  // Check the clipboard now; resolves to true when a new entry was added
+  async poll() {
+    if (this._busy) return false;
+    this._busy = true;
+    let added = false;
+    try {
+      added = await this._exclusive(async () => {
+        const text = await this._readClipboard();
+        if (text === this.lastText) return false;
+        this._interval = 0;
+        const ok = this.enabled ? await this._capture(text, { origin: 'external' }) : false;
+        this.lastText = text;
+        return ok;
+      });
+    } catch (err) {
+      console.error('[Clipboard Manager] Clipboard poll error:', err.message || err);
+    } finally {
+      this._busy = false;
+      this._schedule();
+    }
+    return added;
+  }
+
+  dispose() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._disposables.forEach(d => d.dispose());
+    this._disposables = [];
+  }
+
+  // Run `fn` after every earlier poll or capture has finished
+  _exclusive(fn) {
+    const run = this._queue.then(fn);
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  async _capture(text, meta) {
+    if (!text || !text.trim()) return false;
+    this.lastText = text;
+    const excluded = this.exclude(text, meta);
+    if (excluded) {
+      console.log(`[Clipboard Manager] 🚫 Not capturing: excluded by the ${excluded}`);
+      return false;
+    }
+    const ok = await this.backend.addToHistory(text, meta);
+    if (ok) this._onDidCapture.fire(text);
+    return ok;
+  }
+
+  async _onConfigChanged() {
+    // Whatever was copied while paused is not picked up on resume
+    if (this.enabled) this.lastText = await this._readClipboard();
+    this._interval = 0;
+    this._schedule();
+    this._onDidChangeState.fire();
+  }
+
+  _schedule() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (!this.enabled) return;
+    const base = this.pollInterval;
+    const max = Math.max(base, vscode.window.state.focused ? FOCUSED_MAX_INTERVAL : MAX_INTERVAL);
+    this._interval = this._interval ? Math.min(max, Math.max(base, this._interval * 2)) : base;
+    this._timer = setTimeout(() => this.poll(), this._interval);
+  }
+
+  async _readClipboard() {
+    try {
+      const raw = await vscode.env.clipboard.readText();
+      return raw ? String(raw).replace(/\r\n/g, '\n') : '';
+    } catch (e) {
+      return '';
+    }
+  }
+}
+
+module.exports = CaptureService;
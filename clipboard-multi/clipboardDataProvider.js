@@ -1,16 +1,56 @@
 const vscode = require('vscode');
 
+// globalState key holding { nodeId: expanded } for sections and history groups
+const EXPANDED_KEY = 'clipboardManager.view.expanded';
+
+// How each capture origin is shown
+const ORIGINS = {
+  copy: '📋 copy',
+  cut: '✂️ cut',
+  terminal: '💻 terminal',
+  external: '📥 external'
+};
+
+// Tooltips show at most this many lines of an entry
+const TOOLTIP_LINES = 30;
+
+// History sub-grouping (setting `clipboardManager.view.groupHistory`)
+const GROUP_BY = ['none', 'day', 'file', 'language'];
+
 class ClipboardDataProvider {
-  constructor(backend) {
+  constructor(backend, collections = null, state = null) {
     this.backend = backend;
+    this.collections = collections;
+    this.state = state;
+    this._expanded = state ? { ...state.get(EXPANDED_KEY, {}) } : {};
+    this._sections = {};
     this._onDidChangeTreeData = new vscode.EventEmitter();
     this.onDidChangeTreeData = this._onDidChangeTreeData.event;
     this.searchResults = null;
   }
 
-  // 🔄 Force UI reload
-  refresh() {
-    this._onDidChangeTreeData.fire();
+  // 🔄 Force UI reload. With section keys ('slots', 'pinned', 'collections',
+  // 'history', 'trash') only those sections and their children are reloaded.
+  refresh(...sections) {
+    const counts = this._counts();
+    if (!sections.length || this.searchResults !== null || this._rootsChanged(counts)) {
+      this._onDidChangeTreeData.fire();
+      return;
+    }
+    for (const section of sections) {
+      const node = this._sections[section];
+      if (!node) continue;
+      node.description = String(counts[section]);
+      this._onDidChangeTreeData.fire(node);
+    }
+  }
+
+  // Whether a section or the empty-state item appears or disappears
+  _rootsChanged(counts) {
+    const shown = (section) => !!this._sections[section];
+    return shown('collections') !== !!counts.collections
+      || shown('trash') !== !!counts.trash
+      || this._empty !== this._isEmpty(counts);
   }
 
   // 🔍 Handle search query
@@ -27,163 +67,297 @@ class ClipboardDataProvider {
     }
   }
 
+  get groupBy() {
+    const value = vscode.workspace.getConfiguration('clipboardManager').get('view.groupHistory', 'none');
+    return GROUP_BY.includes(value) ? value : 'none';
+  }
+
+  // 📂 Remember expanded/collapsed sections and groups (wired to the TreeView events)
+  setExpanded(element, expanded) {
+    if (!element || !element.id) return;
+    this._expanded[element.id] = expanded;
+    if (this.state) this.state.update(EXPANDED_KEY, this._expanded);
+  }
+
   getTreeItem(element) {
     return element;
   }
 
-  // 🌲 Generate tree items
-  getChildren() {
+  // 🌲 Root sections first; each node's children are built only when it is expanded
+  getChildren(element) {
+    if (!element) return this._getRoots();
+    if (element.section) return this._getSectionChildren(element.section);
+    if (element.group) return element.group.entries.map(({ entry, index }) => this._createHistoryItem(entry, index));
+    if (element.folder) return this._getPinnedChildren(element.folder);
+    // 📚 Snippets inside an expanded workspace collection
+    if (element.collection) return element.collection.snippets.map(snippet => this._createSnippetItem(snippet));
+    return [];
+  }
+
+  _getRoots() {
+    this._sections = {};
+
     // If we are showing search results
     if (this.searchResults !== null) {
-      const results = this.searchResults;
-      if (results.length === 0) {
-        return [this._createEmptyMessage('No results found for your search')];
-      }
-
-      const items = [
-        this._createSectionHeader(`🔍 Search Results (${results.length})`),
-        this._createSpacer()
-      ];
-
-      results.forEach((text, index) => {
-        const safeText = this._sanitize(text);
-        const item = new vscode.TreeItem(`🧾 ${index + 1}. ${safeText.display}`, vscode.TreeItemCollapsibleState.None);
-        item.iconPath = new vscode.ThemeIcon('search');
-        item.contextValue = 'searchResult';
-        item.description = safeText.display;
-        const lineCount = safeText.original.split(/\r?\n/).length;
-        item.tooltip = new vscode.MarkdownString(
-          `# 🔍 Search Match ${lineCount > 1 ? `(${lineCount} lines)` : ''}\n` +
-          '---\n' +
-          '```\n' +
-          safeText.original +
-          '\n```'
-        );
-        item.command = {
-          command: 'clipboard.pasteItem',
-          title: 'Paste Search Result',
-          arguments: [text],
-        };
-        items.push(item);
-      });
-
-      items.push(this._createSpacer());
       const exitSearch = new vscode.TreeItem('↩️  Exit Search View');
       exitSearch.command = {
         command: 'clipboard.exitSearch',
         title: 'Exit Search View',
       };
       exitSearch.iconPath = new vscode.ThemeIcon('arrow-left');
-      items.push(exitSearch);
-
-      return items;
+      return [this._createSection('search', '🔍  Search Results', this.searchResults.length), exitSearch];
     }
 
     // Default full view
-    const { slots = {}, pinned = [], history = [] } = this.backend.getAll();
-    const items = [];
-
-    // 🧩 --- SLOTS SECTION ---
-    items.push(this._createSectionHeader('📂  Slots'));
-    const slotEntries = Object.entries(slots);
-    if (slotEntries.length) {
-      for (const [slot, text] of slotEntries) {
-        const safeText = this._sanitize(text);
-        const item = new vscode.TreeItem(`🔹 Slot ${slot}: ${safeText.display}`, vscode.TreeItemCollapsibleState.None);
-        item.iconPath = new vscode.ThemeIcon('save-all');
-        item.contextValue = 'slot';
-        item.description = safeText.display;
-        const lineCount = safeText.original.split(/\r?\n/).length;
-        item.tooltip = new vscode.MarkdownString(
-          `# 📋 Slot ${slot} ${lineCount > 1 ? `(${lineCount} lines)` : ''}\n` +
-          '---\n' +
-          '```\n' +
-          safeText.original +
-          '\n```'
-        );
-        item.command = {
-          command: 'clipboard.paste',
-          title: 'Paste from Slot',
-          arguments: [{ slot }],
-        };
-        items.push(item);
-      }
-    } else {
-      items.push(this._createEmptyMessage('No saved slots yet'));
+    const counts = this._counts();
+    const roots = [
+      this._createSection('slots', '📂  Slots', counts.slots),
+      this._createSection('pinned', '📌  Pinned', counts.pinned)
+    ];
+    if (counts.collections) roots.push(this._createSection('collections', '📚  Workspace Snippets', counts.collections));
+    roots.push(this._createSection('history', '🕓  History', counts.history));
+    if (counts.trash) roots.push(this._createSection('trash', '🗑️  Trash', counts.trash));
+
+    // ✨ --- EMPTY STATE ---
+    this._empty = this._isEmpty(counts);
+    if (this._empty) {
+      const empty = new vscode.TreeItem('✨ Clipboard is empty — start copying to begin!');
+      empty.iconPath = new vscode.ThemeIcon('info');
+      empty.contextValue = 'empty';
+      roots.push(empty);
     }
+    return roots;
+  }
 
-    // 📏 Spacer
-    items.push(this._createSpacer());
-
-    // 📌 --- PINNED ITEMS SECTION ---
-    items.push(this._createSectionHeader('📌  Pinned'));
-    if (pinned.length) {
-      pinned.forEach((text, index) => {
-        const safeText = this._sanitize(text);
-        const item = new vscode.TreeItem(`⭐ ${index + 1}. ${safeText.display}`, vscode.TreeItemCollapsibleState.None);
-        item.iconPath = new vscode.ThemeIcon('pin');
-        item.contextValue = 'pinnedItem';
-        item.description = safeText.display;
-        const lineCount = safeText.original.split(/\r?\n/).length;
-        item.tooltip = new vscode.MarkdownString(
-          `# 📍 Pinned Item ${lineCount > 1 ? `(${lineCount} lines)` : ''}\n` +
-          '---\n' +
-          '```\n' +
-          safeText.original +
-          '\n```'
-        );
-        item.command = {
-          command: 'clipboard.pasteItem',
-          title: 'Paste Pinned Item',
-          arguments: [text],
-        };
-        items.push(item);
-      });
-    } else {
-      items.push(this._createEmptyMessage('No pinned items yet'));
+  _getSectionChildren(section) {
+    if (section === 'search') {
+      const results = this.searchResults || [];
+      if (!results.length) return [this._createEmptyMessage('No results found for your search')];
+      return results.map((entry, index) => this._createSearchItem(entry, index));
     }
 
-    // 📏 Spacer
-    items.push(this._createSpacer());
-
-    // 🕘 --- HISTORY SECTION ---
-    items.push(this._createSectionHeader('🕓  History'));
-    const filteredHistory = history.filter((text) => !pinned.includes(text));
-    if (filteredHistory.length) {
-      filteredHistory.forEach((text, index) => {
-        const safeText = this._sanitize(text);
-        const item = new vscode.TreeItem(`🧾 ${index + 1}. ${safeText.display}`, vscode.TreeItemCollapsibleState.None);
-        item.iconPath = new vscode.ThemeIcon('history');
-        item.contextValue = 'historyItem';
-        item.description = safeText.display;
-        const lineCount = safeText.original.split(/\r?\n/).length;
-        item.tooltip = new vscode.MarkdownString(
-          `# 📄 Clipboard Entry ${lineCount > 1 ? `(${lineCount} lines)` : ''}\n` +
-          '---\n' +
-          '```\n' +
-          safeText.original +
-          '\n```'
-        );
-        item.command = {
-          command: 'clipboard.pasteItem',
-          title: 'Paste History Item',
-          arguments: [text],
-        };
-        items.push(item);
-      });
-    } else {
-      items.push(this._createEmptyMessage('Clipboard history is empty'));
+    if (section === 'trash') return this.backend.getTrash().map(entry => this._createTrashItem(entry));
+
+    if (section === 'collections') {
+      return (this.collections ? this.collections.getCollections() : []).map(collection => this._createCollectionItem(collection));
     }
 
-    // ✨ --- EMPTY STATE ---
-    if (!slotEntries.length && !pinned.length && !history.length) {
-      const empty = new vscode.TreeItem('✨ Clipboard is empty — start copying to begin!');
-      empty.iconPath = new vscode.ThemeIcon('info');
-      empty.contextValue = 'empty';
-      items.push(empty);
+    const { slots = {}, pinned = [] } = this.backend.getAll();
+
+    // 🧩 --- SLOTS ---
+    if (section === 'slots') {
+      const slotEntries = Object.entries(slots);
+      if (!slotEntries.length) return [this._createEmptyMessage('No saved slots yet')];
+      return slotEntries.map(([slot, entry]) => this._createSlotItem(slot, entry));
     }
 
-    return items;
+    // 📌 --- PINNED ITEMS (folders first) ---
+    if (section === 'pinned') {
+      if (!pinned.length && !this.backend.getFolders().length) return [this._createEmptyMessage('No pinned items yet')];
+      return this._getPinnedChildren(null);
+    }
+
+    // 🕘 --- HISTORY (optionally grouped) ---
+    const history = this._visibleHistory();
+    if (!history.length) return [this._createEmptyMessage('Clipboard history is empty')];
+    const groupBy = this.groupBy;
+    if (groupBy === 'none') return history.map((entry, index) => this._createHistoryItem(entry, index));
+    return this._groupHistory(history, groupBy).map((group, i) => this._createGroupItem(group, groupBy, i === 0));
+  }
+
+  // Subfolders and items directly inside `folder` (null for the top level).
+  // Items keep their number in the whole pinned list.
+  _getPinnedChildren(folder) {
+    const { pinned = [] } = this.backend.getAll();
+    const prefix = folder ? `${folder}/` : '';
+    const subfolders = this.backend.getFolders()
+      .filter(f => f.startsWith(prefix) && !f.slice(prefix.length).includes('/'));
+    const items = pinned
+      .map((entry, index) => ({ entry, index }))
+      .filter(({ entry }) => (entry.folder || null) === folder);
+    return [
+      ...subfolders.map(f => this._createFolderItem(f, pinned.filter(e => e.folder && (e.folder === f || e.folder.startsWith(`${f}/`))).length)),
+      ...items.map(({ entry, index }) => this._createPinnedItem(entry, index))
+    ];
+  }
+
+  // History without the entries that are also pinned
+  _visibleHistory() {
+    const { pinned = [], history = [] } = this.backend.getAll();
+    const pinnedTexts = new Set(pinned.map((entry) => entry.text));
+    return history.filter((entry) => !pinnedTexts.has(entry.text));
+  }
+
+  // Entry counts per section, without copying the stored entries
+  _counts() {
+    const collections = this.collections ? this.collections.getCollections().reduce((sum, c) => sum + c.snippets.length, 0) : 0;
+    return { ...this.backend.getCounts(), collections };
+  }
+
+  _isEmpty(counts) {
+    return !counts.slots && !counts.pinned && !counts.history;
+  }
+
+  // Groups keep the history order (newest first) and the entries' overall index
+  _groupHistory(history, groupBy) {
+    const groups = new Map();
+    history.forEach((entry, index) => {
+      const { key, label, description } = this._groupKey(entry, groupBy);
+      if (!groups.has(key)) groups.set(key, { key, label, description, entries: [] });
+      groups.get(key).entries.push({ entry, index });
+    });
+    return [...groups.values()];
+  }
+
+  _groupKey(entry, groupBy) {
+    if (groupBy === 'file') {
+      const file = this._sourceFileName(entry);
+      if (!file) return { key: '', label: 'No file' };
+      const uri = vscode.Uri.parse(entry.source.uri);
+      return { key: entry.source.uri, label: file, description: uri.scheme === 'file' ? vscode.workspace.asRelativePath(uri) : undefined };
+    }
+    if (groupBy === 'language') {
+      const language = entry.source && entry.source.languageId;
+      return { key: language || '', label: language || 'Unknown language' };
+    }
+    // day
+    if (!entry.createdAt) return { key: '', label: 'Unknown date' };
+    const day = new Date(entry.createdAt);
+    day.setHours(0, 0, 0, 0);
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const daysAgo = Math.round((today - day) / 86400000);
+    const label = daysAgo === 0 ? 'Today' : daysAgo === 1 ? 'Yesterday' : day.toLocaleDateString();
+    return { key: String(day.getTime()), label };
+  }
+
+  _collapsibleState(id, expandedByDefault) {
+    const expanded = id in this._expanded ? this._expanded[id] : expandedByDefault;
+    return expanded ? vscode.TreeItemCollapsibleState.Expanded : vscode.TreeItemCollapsibleState.Collapsed;
+  }
+
+  _createSection(section, label, count) {
+    const id = `section:${section}`;
+    const item = new vscode.TreeItem(label, this._collapsibleState(id, section !== 'collections' && section !== 'trash'));
+    item.id = id;
+    item.section = section;
+    item.contextValue = `section-${section}`;
+    item.description = String(count);
+    this._sections[section] = item;
+    return item;
+  }
+
+  _createGroupItem(group, groupBy, first) {
+    const id = `history:${groupBy}:${group.key}`;
+    const item = new vscode.TreeItem(group.label, this._collapsibleState(id, first));
+    item.id = id;
+    item.group = group;
+    item.iconPath = new vscode.ThemeIcon(groupBy === 'day' ? 'calendar' : groupBy === 'file' ? 'file' : 'symbol-keyword');
+    item.contextValue = 'historyGroup';
+    item.description = [group.description, String(group.entries.length)].filter(Boolean).join(' · ');
+    return item;
+  }
+
+  _createFolderItem(folder, count) {
+    const id = `folder:${folder}`;
+    const item = new vscode.TreeItem(folder.split('/').pop(), this._collapsibleState(id, false));
+    item.id = id;
+    item.folder = folder;
+    item.iconPath = vscode.ThemeIcon.Folder;
+    item.contextValue = 'pinnedFolder';
+    item.description = String(count);
+    item.tooltip = folder;
+    return item;
+  }
+
+  _createCollectionItem(collection) {
+    const item = new vscode.TreeItem(collection.name, this._collapsibleState(collection.id, false));
+    item.id = collection.id;
+    item.iconPath = new vscode.ThemeIcon(collection.icon);
+    item.description = `${collection.snippets.length} snippet${collection.snippets.length === 1 ? '' : 's'}`;
+    item.tooltip = collection.file.fsPath;
+    item.contextValue = 'collection';
+    item.collection = collection;
+    return item;
+  }
+
+  _createSlotItem(slot, entry) {
+    const safeText = this._sanitize(entry.text);
+    const item = new vscode.TreeItem(`🔹 Slot ${slot}: ${safeText.display}`, vscode.TreeItemCollapsibleState.None);
+    item.iconPath = this._icon(entry, 'save-all');
+    item.contextValue = 'slot';
+    item.entryId = entry.id;
+    item.slot = slot;
+    item.description = this.describe(entry);
+    item.tooltip = this._entryTooltip(`📋 Slot ${slot}`, entry, safeText);
+    item.command = {
+      command: 'clipboard.paste',
+      title: 'Paste from Slot',
+      arguments: [{ slot }],
+    };
+    return item;
+  }
+
+  _createPinnedItem(entry, index) {
+    const safeText = this._sanitize(entry.text);
+    const item = new vscode.TreeItem(`⭐ ${index + 1}. ${safeText.display}`, vscode.TreeItemCollapsibleState.None);
+    item.iconPath = this._icon(entry, 'pin');
+    item.contextValue = 'pinnedItem';
+    item.entryId = entry.id;
+    item.description = this.describe(entry);
+    item.tooltip = this._entryTooltip('📍 Pinned Item', entry, safeText);
+    item.command = {
+      command: 'clipboard.pasteItem',
+      title: 'Paste Pinned Item',
+      arguments: [{ id: entry.id }],
+    };
+    return item;
+  }
+
+  _createHistoryItem(entry, index) {
+    const safeText = this._sanitize(entry.text);
+    const item = new vscode.TreeItem(`🧾 ${index + 1}. ${safeText.display}`, vscode.TreeItemCollapsibleState.None);
+    item.iconPath = this._icon(entry, 'history');
+    item.contextValue = 'historyItem';
+    item.entryId = entry.id;
+    item.description = this.describe(entry);
+    item.tooltip = this._entryTooltip('📄 Clipboard Entry', entry, safeText);
+    item.command = {
+      command: 'clipboard.pasteItem',
+      title: 'Paste History Item',
+      arguments: [{ id: entry.id }],
+    };
+    return item;
+  }
+
+  // Trashed entries can only be restored; they are not pasted or dragged
+  _createTrashItem(entry) {
+    const safeText = this._sanitize(entry.text);
+    const item = new vscode.TreeItem(safeText.display, vscode.TreeItemCollapsibleState.None);
+    item.iconPath = this._icon(entry, entry.from === 'pinned' ? 'pin' : 'trash');
+    item.contextValue = 'trashItem';
+    item.trashId = entry.id;
+    const from = entry.from === 'pinned' ? 'from Pinned' : 'from History';
+    const purge = entry.purgeAt ? `removed ${this._formatUntil(entry.purgeAt)}` : '';
+    item.description = [`deleted ${this._formatAge(entry.deletedAt)}`, from, purge].filter(Boolean).join(' · ');
+    item.tooltip = this._entryTooltip(`🗑️ Deleted ${from}`, entry, safeText);
+    return item;
+  }
+
+  _createSearchItem(entry, index) {
+    const safeText = this._sanitize(entry.text);
+    const item = new vscode.TreeItem(`🧾 ${index + 1}. ${safeText.display}`, vscode.TreeItemCollapsibleState.None);
+    item.iconPath = this._icon(entry, 'search');
+    item.contextValue = 'searchResult';
+    item.entryId = entry.id;
+    item.description = this.describe(entry);
+    item.tooltip = this._entryTooltip('🔍 Search Match', entry, safeText);
+    item.command = {
+      command: 'clipboard.pasteItem',
+      title: 'Paste Search Result',
+      arguments: [{ id: entry.id }],
+    };
+    return item;
   }
 
   // 🧠 --- HELPERS ---
@@ -206,12 +380,105 @@ class ClipboardDataProvider {
     };
   }
 
-  _createSectionHeader(label) {
-    const item = new vscode.TreeItem(label, vscode.TreeItemCollapsibleState.None);
-    item.iconPath = new vscode.ThemeIcon('symbol-namespace');
-    item.contextValue = 'section';
-    item.tooltip = label.replace(/📂|📌|🕓/g, '').trim();
-    item.description = '────────────────────────';
+  // Long entries are cut short; "Open Entry" shows the full text
+  _entryTooltip(heading, entry, safeText) {
+    const lines = safeText.original.split(/\r?\n/);
+    const shown = lines.length > TOOLTIP_LINES ? lines.slice(0, TOOLTIP_LINES).join('\n') : safeText.original;
+    return new vscode.MarkdownString(
+      `# ${heading} ${lines.length > 1 ? `(${lines.length} lines)` : ''}\n` +
+      this._metadataLine(entry) +
+      '---\n' +
+      '```\n' +
+      shown +
+      '\n```' +
+      (shown !== safeText.original ? `\n\n*… ${lines.length - TOOLTIP_LINES} more lines — use Open Entry to see everything*` : '')
+    );
+  }
+
+  // Short "when · where" summary shown next to the label (also used by the pickers)
+  describe(entry) {
+    const parts = [this._formatAge(entry.lastUsedAt || entry.createdAt)];
+    const file = this._sourceFileName(entry);
+    if (file) parts.push(file);
+    if (entry.sensitive) parts.unshift('🔒 sensitive');
+    if (entry.template) parts.unshift('🧩 template');
+    if (entry.expiresAt) parts.push(`expires ${this._formatUntil(entry.expiresAt)}`);
+    if (entry.scope === 'global') parts.push('🌐 global');
+    if (entry.tags && entry.tags.length) parts.push(entry.tags.map(tag => `#${tag}`).join(' '));
+    if (ORIGINS[entry.origin]) parts.push(ORIGINS[entry.origin]);
+    return parts.filter(Boolean).join(' · ');
+  }
+
+  // Sensitive entries always show a lock so they stand out in every section
+  _icon(entry, fallback) {
+    return new vscode.ThemeIcon(entry.sensitive ? 'lock' : entry.template ? 'symbol-snippet' : fallback);
+  }
+
+  _metadataLine(entry) {
+    const parts = [];
+    if (entry.createdAt) parts.push(`🕒 Copied ${new Date(entry.createdAt).toLocaleString()}`);
+    const file = this._sourceFileName(entry);
+    if (file) {
+      const range = entry.source.range;
+      const line = range && range.start ? `:${range.start.line + 1}` : '';
+      parts.push(`📄 ${file}${line}`);
+    }
+    if (entry.source && entry.source.languageId) parts.push(`🔤 ${entry.source.languageId}`);
+    if (ORIGINS[entry.origin]) parts.push(`via ${ORIGINS[entry.origin]}`);
+    if (entry.useCount > 1) parts.push(`🔁 used ${entry.useCount}×`);
+    if (entry.tags && entry.tags.length) parts.push(`🏷️ ${entry.tags.map(tag => `#${tag}`).join(' ')}`);
+    if (entry.sensitive) parts.push(`🔒 Sensitive: ${entry.sensitive.kinds.join(', ')}`);
+    return parts.length ? `${parts.join(' · ')}\n\n` : '';
+  }
+
+  _sourceFileName(entry) {
+    if (!entry.source || !entry.source.uri) return '';
+    try {
+      return vscode.Uri.parse(entry.source.uri).path.split('/').pop() || '';
+    } catch (e) {
+      return '';
+    }
+  }
+
+  _formatAge(time) {
+    if (!time) return '';
+    const seconds = Math.max(0, Math.floor((Date.now() - time) / 1000));
+    if (seconds < 60) return 'just now';
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ago`;
+    return `${Math.floor(hours / 24)}d ago`;
+  }
+
+  _formatUntil(time) {
+    const minutes = Math.ceil((time - Date.now()) / 60000);
+    if (minutes <= 1) return 'in <1m';
+    if (minutes < 60) return `in ${minutes}m`;
+    const hours = Math.ceil(minutes / 60);
+    if (hours < 48) return `in ${hours}h`;
+    return `in ${Math.ceil(hours / 24)}d`;
+  }
+
+  _createSnippetItem(snippet) {
+    const safeText = this._sanitize(snippet.text);
+    const item = new vscode.TreeItem(snippet.label || safeText.display, vscode.TreeItemCollapsibleState.None);
+    item.iconPath = this._icon(snippet, 'symbol-text');
+    item.contextValue = 'collectionSnippet';
+    item.entryId = snippet.id;
+    item.description = [snippet.source && snippet.source.languageId, this.describe(snippet)].filter(Boolean).join(' · ');
+    item.tooltip = new vscode.MarkdownString(
+      `# 📚 ${snippet.label || 'Workspace Snippet'}\n` +
+      '---\n' +
+      '```\n' +
+      safeText.original +
+      '\n```'
+    );
+    item.command = {
+      command: 'clipboard.pasteItem',
+      title: 'Paste Workspace Snippet',
+      arguments: [{ id: snippet.id }],
+    };
     return item;
   }
 
@@ -221,12 +488,6 @@ class ClipboardDataProvider {
     item.contextValue = 'empty';
     return item;
   }
-
-  _createSpacer() {
-    const spacer = new vscode.TreeItem(' ');
-    spacer.contextValue = 'spacer';
-    return spacer;
-  }
 }
 
 module.exports = ClipboardDataProvider;
@@ -0,0 +1,114 @@
+// 🖱️ clipboardDragAndDrop.js
+// Drag and drop for the Clipboard view
+//
+// - dragging entries within the view reorders pinned items and moves entries
+//   between History, Pinned (and its folders) and a slot
+// - dragged entries also carry their text, so they can be dropped into an editor
+// - text dragged from an editor onto the view is saved to history
+
+const vscode = require('vscode');
+
+const TREE_MIME = 'application/vnd.code.tree.clipboardview';
+const TEXT_MIME = 'text/plain';
+
+class ClipboardDragAndDrop {
+  // `lookup(id)` resolves the dragged entry (stored entries and workspace snippets);
+  // `exclude(text, meta)` says why dropped text must not be saved, or null
+  constructor(backend, dataProvider, lookup, exclude = () => null) {
+    this.backend = backend;
+    this.dataProvider = dataProvider;
+    this.lookup = lookup;
+    this.exclude = exclude;
+    this.dragMimeTypes = [TREE_MIME, TEXT_MIME];
+    this.dropMimeTypes = [TREE_MIME, TEXT_MIME];
+  }
+
+  handleDrag(sources, dataTransfer) {
+    const dragged = sources
+      .filter(item => item.entryId)
+      .map(item => ({ id: item.entryId, slot: item.slot !== undefined ? item.slot : null }));
+    if (!dragged.length) return;
+    dataTransfer.set(TREE_MIME, new vscode.DataTransferItem(dragged));
+    const texts = dragged.map(d => this.lookup(d.id)).filter(Boolean).map(entry => entry.text);
+    if (texts.length) dataTransfer.set(TEXT_MIME, new vscode.DataTransferItem(texts.join('\n')));
+  }
+
+  async handleDrop(target, dataTransfer, token) {
+    const own = dataTransfer.get(TREE_MIME);
+    try {
+      if (own && Array.isArray(own.value)) {
+        await this._moveEntries(own.value, target);
+      } else {
+        const text = dataTransfer.get(TEXT_MIME);
+        const value = text ? await text.asString() : '';
+        if (token.isCancellationRequested || !value.trim()) return;
+        const excluded = this.exclude(value, { source: null });
+        if (excluded) {
+          vscode.window.showWarningMessage(`⚠️ Not saved: excluded from history by the ${excluded} in clipboardManager.capture.exclude.`);
+          return;
+        }
+        const ok = await this.backend.addToHistory(value);
+        if (ok) vscode.window.showInformationMessage('📋 Saved dropped text to clipboard history.');
+      }
+    } catch (err) {
+      console.error('[Clipboard Manager] ❌ Drop failed:', err.message || err);
+      vscode.window.showWarningMessage(`⚠️ Drop failed: ${err.message || err}`);
+    }
+    this.dataProvider.refresh('slots', 'pinned', 'history');
+  }
+
+  // Where a drop lands: { list: 'pinned', index, folder } | { list: 'history' } | { list: 'slot', slot }
+  _dropTarget(target) {
+    if (!target) return null;
+    if (target.section === 'pinned') return { list: 'pinned', folder: null };
+    if (target.section === 'history' || target.group || target.contextValue === 'historyItem') return { list: 'history' };
+    if (target.folder) return { list: 'pinned', folder: target.folder };
+    if (target.contextValue === 'pinnedItem') {
+      const { pinned = [] } = this.backend.getAll();
+      const index = pinned.findIndex(e => e.id === target.entryId);
+      return { list: 'pinned', index: index === -1 ? undefined : index, folder: index === -1 ? undefined : pinned[index].folder || null };
+    }
+    if (target.contextValue === 'slot') return { list: 'slot', slot: target.slot };
+    return null;
+  }
+
+  async _moveEntries(dragged, target) {
+    const to = this._dropTarget(target);
+    if (!to) return;
+    for (const { id, slot } of dragged) {
+      const entry = this.lookup(id);
+      if (!entry) continue;
+      const meta = { source: entry.source, parts: entry.parts };
+      if (to.list === 'slot') {
+        if (slot !== to.slot) await this.backend.saveToSlot(to.slot, entry.text, meta);
+        continue;
+      }
+
+      const { pinned = [], history = [] } = this.backend.getAll();
+      const isPinned = pinned.some(e => e.id === id);
+      const inHistory = history.some(e => e.id === id);
+      if (to.list === 'pinned') {
+        // Slot entries and workspace snippets are copied into history first
+        let pinId = id;
+        if (!isPinned && !inHistory) {
+          await this.backend.addToHistory(entry.text, meta);
+          const copy = this.backend.findEntry(entry.text);
+          if (!copy) continue;
+          pinId = copy.id;
+        }
+        const moved = await this.backend.movePinned(pinId, { index: to.index, folder: to.folder });
+        // The next dropped entry goes right after this one, keeping the dragged order
+        if (moved && typeof to.index === 'number') {
+          const at = this.backend.getAll().pinned.findIndex(e => e.id === pinId);
+          if (at !== -1) to.index = at + 1;
+        }
+      } else if (isPinned) {
+        await this.backend.unpinItem(id);
+      } else if (!inHistory) {
+        await this.backend.addToHistory(entry.text, meta);
+      }
+    }
+  }
+}
+
+module.exports = ClipboardDragAndDrop;
@@ -0,0 +1,108 @@
+// 📊 clipboardStatusBar.js
+// Status bar item: capture state, entry count and the latest entry
+//
+// Shows whether copies are being recorded (on / paused / not from the active
+// file), how many entries are stored and a preview of the newest one. Clicking
+// opens the paste picker or the Clipboard view (`clipboardManager.statusBar.click`);
+// the hover lists what each slot holds and links to pause, resume and clear.
+
+const vscode = require('vscode');
+
+const PREVIEW_LENGTH = 24;
+const MENU_COMMANDS = ['clipboard.pauseCapture', 'clipboard.resumeCapture', 'clipboard.clearAll', 'clipboard.showPastePicker', 'clipboardView.focus'];
+
+class ClipboardStatusBar {
+  // `exclusion(document)` says why copies from a document are not recorded, or null
+  constructor(backend, capture, exclusion) {
+    this.backend = backend;
+    this.capture = capture;
+    this.exclusion = exclusion;
+    this.item = vscode.window.createStatusBarItem('clipboardManager.status', vscode.StatusBarAlignment.Right, 100);
+    this.item.name = 'Clipboard Manager';
+    this._disposables = [
+      this.item,
+      capture.onDidChangeState(() => this.update()),
+      vscode.window.onDidChangeActiveTextEditor(() => this.update()),
+      vscode.workspace.onDidChangeConfiguration((e) => {
+        if (e.affectsConfiguration('clipboardManager.statusBar')) this.update();
+      })
+    ];
+    this.update();
+    this.item.show();
+  }
+
+  get clickAction() {
+    return vscode.workspace.getConfiguration('clipboardManager').get('statusBar.click', 'picker') === 'view'
+      ? 'clipboardView.focus'
+      : 'clipboard.showPastePicker';
+  }
+
+  // Re-read the capture state and the backend summary
+  update() {
+    const summary = this.backend.getSummary();
+    const state = this._state();
+    const count = summary.history + summary.pinned;
+    const latest = summary.latest ? ` ${short(summary.latest.preview)}` : '';
+
+    this.item.text = `${state.icon} ${count}${latest}`;
+    this.item.command = this.clickAction;
+    this.item.backgroundColor = state.paused ? new vscode.ThemeColor('statusBarItem.warningBackground') : undefined;
+    this.item.tooltip = this._tooltip(state, summary);
+  }
+
+  dispose() {
+    this._disposables.forEach(d => d.dispose());
+    this._disposables = [];
+  }
+
+  _state() {
+    if (!this.capture.enabled) return { icon: '$(debug-pause)', label: '⏸️ Capture paused', paused: true };
+    const editor = vscode.window.activeTextEditor;
+    const reason = editor ? this.exclusion(editor.document) : null;
+    if (reason) return { icon: '$(eye-closed)', label: `🚫 Not capturing from this file (${reason})` };
+    return { icon: '$(clippy)', label: '⏺️ Capturing copies' };
+  }
+
+  _tooltip(state, summary) {
+    const md = new vscode.MarkdownString('', true);
+    md.isTrusted = { enabledCommands: MENU_COMMANDS };
+    md.appendMarkdown(`**${state.label}**\n\n`);
+    md.appendMarkdown(`${summary.history} in history · ${summary.pinned} pinned · ${summary.slots.length} slot${summary.slots.length === 1 ? '' : 's'}\n\n`);
+    if (summary.latest) {
+      const when = summary.latest.usedAt ? ` (${new Date(summary.latest.usedAt).toLocaleTimeString()})` : '';
+      md.appendMarkdown('Latest' + when + ': ');
+      md.appendText(summary.latest.preview);
+      md.appendMarkdown('\n\n');
+    }
+    for (const { slot, preview } of summary.slots) {
+      md.appendMarkdown(`- Slot ${escape(slot)}: `);
+      md.appendText(short(preview));
+      md.appendMarkdown('\n');
+    }
+    if (summary.slots.length) md.appendMarkdown('\n');
+
+    const toggle = this.capture.enabled
+      ? '[$(debug-pause) Pause](command:clipboard.pauseCapture)'
+      : '[$(play) Resume](command:clipboard.resumeCapture)';
+    md.appendMarkdown([
+      toggle,
+      '[$(clear-all) Clear](command:clipboard.clearAll)',
+      '[$(list-selection) Paste…](command:clipboard.showPastePicker)',
+      '[$(history) Show History](command:clipboardView.focus)'
+    ].join(' · '));
+    return md;
+  }
+}
+
+// Status bar text renders "$(name)" as an icon, so copied text can't contain one
+function short(text) {
+  const line = text.length > PREVIEW_LENGTH ? text.slice(0, PREVIEW_LENGTH).trimEnd() + '…' : text;
+  return line.replace(/\$\(/g, '$\u200b(');
+}
+
+// Slot names are user input; keep them from turning into markdown
+function escape(text) {
+  return String(text).replace(/[\\`*_{}[\]()#+\-.!<>|]/g, '\\$&');
+}
+
+module.exports = ClipboardStatusBar;
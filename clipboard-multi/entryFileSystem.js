@@ -0,0 +1,93 @@
+// 📝 entryFileSystem.js
+// Virtual documents for clipboard entries ("Open Entry")
+//
+// Entries open as `clipboard-entry:/<id>/<name>`; saving the document updates
+// the stored entry. Merged global entries and workspace snippets are read-only.
+
+const vscode = require('vscode');
+
+const SCHEME = 'clipboard-entry';
+
+class EntryFileSystemProvider {
+  // `lookup(id)` resolves stored entries and workspace snippets
+  constructor(backend, lookup) {
+    this.backend = backend;
+    this.lookup = lookup;
+    this._onDidChangeFile = new vscode.EventEmitter();
+    this.onDidChangeFile = this._onDidChangeFile.event;
+    // Fired after a saved document updated its entry
+    this._onDidEdit = new vscode.EventEmitter();
+    this.onDidEdit = this._onDidEdit.event;
+  }
+
+  static uriFor(entry) {
+    const name = entry.text.split('\n')[0].trim().replace(/[\\/:*?"<>|]/g, ' ').slice(0, 40).trim() || 'entry';
+    return vscode.Uri.from({ scheme: SCHEME, path: `/${encodeURIComponent(entry.id)}/${name}` });
+  }
+
+  // Tell open entry documents to re-read their content (e.g. after undo)
+  refresh() {
+    const uris = vscode.workspace.textDocuments.map(doc => doc.uri).filter(uri => uri.scheme === SCHEME);
+    if (uris.length) this._onDidChangeFile.fire(uris.map(uri => ({ type: vscode.FileChangeType.Changed, uri })));
+  }
+
+  watch() {
+    return new vscode.Disposable(() => {});
+  }
+
+  stat(uri) {
+    const entry = this._entry(uri);
+    return {
+      type: vscode.FileType.File,
+      ctime: entry.createdAt || 0,
+      mtime: entry.lastUsedAt || entry.createdAt || 0,
+      size: Buffer.byteLength(entry.text, 'utf8'),
+      permissions: isReadonly(entry) ? vscode.FilePermission.Readonly : undefined
+    };
+  }
+
+  readFile(uri) {
+    return Buffer.from(this._entry(uri).text, 'utf8');
+  }
+
+  async writeFile(uri, content) {
+    const entry = this._entry(uri);
+    if (isReadonly(entry)) throw vscode.FileSystemError.NoPermissions(uri);
+    const text = Buffer.from(content).toString('utf8');
+    if (!text.trim()) throw vscode.FileSystemError.Unavailable('A clipboard entry cannot be empty');
+    if (!(await this.backend.editItem(entry.id, text))) throw vscode.FileSystemError.Unavailable('Could not update the clipboard entry');
+    this._onDidChangeFile.fire([{ type: vscode.FileChangeType.Changed, uri }]);
+    this._onDidEdit.fire(entry.id);
+  }
+
+  readDirectory() {
+    return [];
+  }
+
+  createDirectory(uri) {
+    throw vscode.FileSystemError.NoPermissions(uri);
+  }
+
+  delete(uri) {
+    throw vscode.FileSystemError.NoPermissions(uri);
+  }
+
+  rename(uri) {
+    throw vscode.FileSystemError.NoPermissions(uri);
+  }
+
+  _entry(uri) {
+    const id = decodeURIComponent(uri.path.split('/')[1] || '');
+    const entry = id ? this.lookup(id) : null;
+    if (!entry) throw vscode.FileSystemError.FileNotFound(uri);
+    return entry;
+  }
+}
+
+function isReadonly(entry) {
+  return entry.scope === 'global' || entry.scope === 'collection';
+}
+
+EntryFileSystemProvider.scheme = SCHEME;
+
+module.exports = EntryFileSystemProvider;
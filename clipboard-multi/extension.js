@@ -5,24 +5,39 @@
 const vscode = require('vscode');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const historyBackend = require('./historyBackend');
+const sensitiveDetector = require('./sensitiveDetector');
 const ClipboardDataProvider = require('./clipboardDataProvider');
+const SnippetCollections = require('./snippetCollections');
+const ClipboardDragAndDrop = require('./clipboardDragAndDrop');
+const EntryFileSystemProvider = require('./entryFileSystem');
+const CaptureService = require('./captureService');
+const ClipboardStatusBar = require('./clipboardStatusBar');
+const captureFilter = require('./captureFilter');
+const { showSearchPicker } = require('./searchPicker');
+const { showPastePicker } = require('./pastePicker');
+const { showTransformPicker } = require('./transformPicker');
+const transforms = require('./transforms');
+const historyExport = require('./historyExport');
+
+// SecretStorage key holding the base64 history encryption key
+const ENCRYPTION_SECRET = 'clipboardManager.historyKey';
+const HISTORY_FILE_NAME = 'clipboard_history.json';
+// globalState flag set once the pre-globalStorage history has been copied over
+const LEGACY_MIGRATED_KEY = 'clipboardManager.legacyHistoryMigrated';
 
 let dataProvider;
+let snippetCollections;
 
-function activate(context) {
+async function activate(context) {
   // Find the extension's root directory
   const extensionPath = context.extensionPath;
-  
-  // Determine workspace path for history storage
-  const workspacePath = path.join(extensionPath, 'data');
-  // Ensure data directory exists
-  if (!fs.existsSync(workspacePath)) {
-    fs.mkdirSync(workspacePath, { recursive: true });
-  }
-  
-  const historyFilePath = path.join(workspacePath, 'clipboard_history.json');
-  
+
+  // History lives in VS Code's storage folders so it survives extension updates
+  // and read-only installs; older versions kept it in the extension's data/ folder
+  migrateLegacyHistory(context);
+
   // Try to locate the C++ backend binary
   const cliName = process.platform === 'win32' ? 'clipboard_manager.exe' : 'clipboard_manager';
   const configured = vscode.workspace.getConfiguration('clipboardManager').get('cliPath');
@@ -49,11 +64,34 @@ function activate(context) {
     vscode.window.showErrorMessage(msg);
   }
 
-  // ✅ Ensure history file exists
-  ensureHistoryFile(historyFilePath);
+  // 🔐 Load the encryption key (if encryption was turned on) before reading history
+  try {
+    historyBackend.setEncryptionKey(await context.secrets.get(ENCRYPTION_SECRET));
+  } catch (err) {
+    console.error('[Clipboard Manager] Invalid history encryption key:', err.message || err);
+  }
+
+  // ✅ Open the history for the configured storage scope (global / workspace / both)
+  function openHistory() {
+    const storage = resolveStorage(context);
+    ensureHistoryFile(storage.primary);
+    // Initialize backend (pass CLI path so JS can call the C++ backend)
+    historyBackend.init(storage.primary, cliPath);
+    historyBackend.setMergedFile(storage.merged);
+
+    const status = historyBackend.getStorageStatus();
+    if (status.locked) {
+      vscode.window.showErrorMessage(
+        `🔒 Clipboard history is locked: ${status.reason} Nothing will be saved until it is unlocked or reset.`,
+        'Manage Encryption'
+      ).then((choice) => {
+        if (choice) vscode.commands.executeCommand('clipboard.toggleEncryption');
+      });
+    }
+  }
 
-  // ✅ Initialize backend (pass CLI path so JS can call the C++ backend)
-  historyBackend.init(historyFilePath, cliPath);
+  openHistory();
+  applySettings();
 
   // helper to run backend ops with progress UI
   async function runWithProgress(title, fn) {
@@ -71,9 +109,53 @@ function activate(context) {
     }
   }
 
-  // ✅ Create and register TreeDataProvider
-  dataProvider = new ClipboardDataProvider(historyBackend);
-  vscode.window.registerTreeDataProvider('clipboardView', dataProvider);
+  // 📚 Read-only snippet collections from workspace files
+  snippetCollections = new SnippetCollections();
+  context.subscriptions.push(snippetCollections, snippetCollections.onDidChange(() => dataProvider.refresh('collections')));
+  snippetCollections.start();
+
+  // ✅ Create the tree view; expanded sections/groups are remembered across sessions
+  dataProvider = new ClipboardDataProvider(historyBackend, snippetCollections, context.globalState);
+  const treeView = vscode.window.createTreeView('clipboardView', {
+    treeDataProvider: dataProvider,
+    dragAndDropController: new ClipboardDragAndDrop(historyBackend, dataProvider, lookupEntry,
+      (text, meta) => captureExclusion(meta.source, text)),
+    canSelectMany: true
+  });
+  context.subscriptions.push(
+    treeView,
+    treeView.onDidExpandElement(e => dataProvider.setExpanded(e.element, true)),
+    treeView.onDidCollapseElement(e => dataProvider.setExpanded(e.element, false))
+  );
+
+  // 📝 Entries opened as documents; saving one updates the entry
+  const entryFiles = new EntryFileSystemProvider(historyBackend, lookupEntry);
+  context.subscriptions.push(
+    vscode.workspace.registerFileSystemProvider(EntryFileSystemProvider.scheme, entryFiles, { isCaseSensitive: true }),
+    entryFiles.onDidEdit(() => dataProvider.refresh('slots', 'pinned', 'history')),
+    dataProvider.onDidChangeTreeData(() => entryFiles.refresh())
+  );
+
+  // ⏳ Apply retention limits now and whenever they change
+  historyBackend.pruneHistory().then((removed) => { if (removed) dataProvider.refresh('history', 'slots', 'trash'); });
+  context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(async (e) => {
+    if (e.affectsConfiguration('clipboardManager.storage')) {
+      openHistory();
+      dataProvider.refresh();
+    }
+    if (e.affectsConfiguration('clipboardManager.transforms')) applySettings();
+    if (e.affectsConfiguration('clipboardManager.collections')) snippetCollections.start();
+    if (e.affectsConfiguration('clipboardManager.view')) dataProvider.refresh('history');
+    if (!e.affectsConfiguration('clipboardManager.history') && !e.affectsConfiguration('clipboardManager.sensitive')) return;
+    applySettings();
+    if (await historyBackend.pruneHistory()) dataProvider.refresh('history', 'slots', 'trash');
+  }));
+
+  // 🔐 Auto-expire entries flagged as sensitive
+  const expiryTimer = setInterval(async () => {
+    if (await historyBackend.pruneHistory()) dataProvider.refresh('history', 'slots', 'trash');
+  }, 60 * 1000);
+  context.subscriptions.push({ dispose: () => clearInterval(expiryTimer) });
 
   // --------------------------------------------------------------------------
   // 🧩 Commands
@@ -81,19 +163,56 @@ function activate(context) {
 
   register(context, 'clipboard.refresh', () => dataProvider.refresh());
 
-  // ↩️ Undo last delete
+  // 🗂️ Choose how the History section is grouped
+  register(context, 'clipboard.groupHistory', async () => {
+    const current = dataProvider.groupBy;
+    const pick = await vscode.window.showQuickPick([
+      { label: '$(list-flat) No grouping', value: 'none' },
+      { label: '$(calendar) By day', value: 'day' },
+      { label: '$(file) By source file', value: 'file' },
+      { label: '$(symbol-keyword) By language', value: 'language' }
+    ].map(item => ({ ...item, description: item.value === current ? 'current' : undefined })), {
+      placeHolder: '🗂️ Group clipboard history'
+    });
+    if (!pick || pick.value === current) return;
+    await vscode.workspace.getConfiguration('clipboardManager').update('view.groupHistory', pick.value, vscode.ConfigurationTarget.Global);
+  });
+
+  // ↩️ Undo the last history change (delete, pin, clear, ...)
   register(context, 'clipboard.undoDelete', async () => {
-    await runWithProgress('Undoing last delete', async () => {
-      const success = await historyBackend.undoDelete();
-      if (success) dataProvider.refresh();
+    await runWithProgress('Undoing last change', async () => {
+      const step = await historyBackend.undo();
+      if (step) {
+        info(`Undid: ${step.label}`);
+        dataProvider.refresh();
+      } else {
+        warn('Nothing to undo.');
+      }
     });
   });
 
-  // 🧹 Clear all history (with confirmation)
+  // ↪️ Redo the last undone change
+  register(context, 'clipboard.redo', async () => {
+    await runWithProgress('Redoing last change', async () => {
+      const step = await historyBackend.redo();
+      if (step) {
+        info(`Redid: ${step.label}`);
+        dataProvider.refresh();
+      } else {
+        warn('Nothing to redo.');
+      }
+    });
+  });
+
+  // 🧹 Clear all history (with confirmation); cleared entries go to the trash
   register(context, 'clipboard.clearAll', async () => {
+    const days = trashDays();
     const choice = await vscode.window.showWarningMessage(
       'Clear all clipboard history? This will remove pinned items as well.',
-      { modal: true },
+      {
+        modal: true,
+        detail: days ? `They stay in the Trash for ${days} day${days === 1 ? '' : 's'} and can be restored from there.` : 'The trash is turned off, so they cannot be restored.'
+      },
       'Clear'
     );
     if (choice !== 'Clear') return;
@@ -109,66 +228,218 @@ function activate(context) {
     });
   });
 
-  // 📋 Copy selected text to slot
+  // 📋 Copy selected text to slot (asks for the slot when called without one)
   register(context, 'clipboard.copy', async (args) => {
     const editor = vscode.window.activeTextEditor;
     if (!editor) return warn('No active editor.');
 
-    const selectedText = editor.document.getText(editor.selection);
+    // Every cursor's selection is kept as a part of the one entry
+    const { text: selectedText, parts } = selectionTexts(editor);
     if (!selectedText.trim()) return warn('No text selected.');
 
-    await runWithProgress(`Saving to Slot ${args.slot}`, async () => {
-      const ok = await historyBackend.saveToSlot(args.slot, selectedText);
-      if (ok) info(`Copied to Slot ${args.slot}`);
-      dataProvider.refresh();
+    const slot = getItemSlot(args) || await pickSlot('Copy the selection to which slot?', { allowNew: true });
+    if (!slot) return;
+
+    await runWithProgress(`Saving to Slot ${slot}`, async () => {
+      const ok = await historyBackend.saveToSlot(slot, selectedText, { source: selectionSource(editor), parts });
+      if (ok) info(`Copied to Slot ${slot}`);
+      dataProvider.refresh('slots', 'history');
     });
   });
 
-  // 📥 Paste from slot
+  // 📥 Paste from slot (asks for the slot when called without one)
   register(context, 'clipboard.paste', async (args) => {
     const editor = vscode.window.activeTextEditor;
     if (!editor) return warn('No active editor.');
 
-    const text = historyBackend.getFromSlot(args.slot);
-    if (!text) return warn(`Slot ${args.slot} is empty.`);
+    const slot = getItemSlot(args) || await pickSlot('Paste from which slot?');
+    if (!slot) return;
+
+    const entry = historyBackend.getSlotEntry(slot);
+    if (!entry || !entry.text) return warn(`Slot ${slot} is empty.`);
+
+    await pasteIntoSelections(editor, entry.text, { parts: entry.parts, snippet: entry.template });
+    historyBackend.markUsed(entry.id);
+    info(`Pasted from Slot ${slot}`);
+  });
+
+  // 🏷️ Save a history/pinned item (or the editor selection) to a numbered or named slot
+  register(context, 'clipboard.setSlot', async (item) => {
+    const entry = getItemEntry(item);
+    if (!entry) return vscode.commands.executeCommand('clipboard.copy');
+
+    const slot = await pickSlot(`Save "${short(entry.text)}" to which slot?`, { allowNew: true });
+    if (!slot) return;
+
+    const ok = await historyBackend.saveToSlot(slot, entry.text, { source: entry.source, parts: entry.parts });
+    ok ? info(`Saved to Slot ${slot}`) : warn(`Could not save to Slot ${slot}.`);
+    dataProvider.refresh('slots', 'history');
+  });
+
+  // 🧽 Empty a slot
+  register(context, 'clipboard.clearSlot', async (item) => {
+    const slot = getItemSlot(item) || await pickSlot('Clear which slot?');
+    if (!slot) return;
+
+    const ok = await historyBackend.clearSlot(slot);
+    ok ? info(`Cleared Slot ${slot}`) : warn(`Could not clear Slot ${slot}.`);
+    dataProvider.refresh('slots');
+  });
+
+  // ✏️ Give a slot another name (or number)
+  register(context, 'clipboard.renameSlot', async (item) => {
+    const slot = getItemSlot(item) || await pickSlot('Rename which slot?');
+    if (!slot) return;
 
-    await editor.edit((builder) => builder.replace(editor.selection, text));
-    info(`Pasted from Slot ${args.slot}`);
+    const name = await vscode.window.showInputBox({
+      prompt: `✏️ New name for Slot ${slot}`,
+      value: slot,
+      validateInput: (value) => slotNameError(value, slot)
+    });
+    if (!name || name.trim() === slot) return;
+
+    const ok = await historyBackend.renameSlot(slot, name);
+    ok ? info(`Renamed Slot ${slot} to ${name.trim()}`) : warn(`Could not rename Slot ${slot}.`);
+    dataProvider.refresh('slots');
+  });
+
+  // 🔀 Swap two slots (or move a slot into an empty one)
+  register(context, 'clipboard.swapSlots', async (item) => {
+    const slot = getItemSlot(item) || await pickSlot('Swap which slot?');
+    if (!slot) return;
+    const other = await pickSlot(`Swap Slot ${slot} with…`, { allowNew: true, exclude: slot });
+    if (!other) return;
+
+    const ok = await historyBackend.swapSlots(slot, other);
+    ok ? info(`Swapped Slot ${slot} and Slot ${other}`) : warn(`Could not swap Slot ${slot} and Slot ${other}.`);
+    dataProvider.refresh('slots');
+  });
+
+  // 🗂️ List all slots; picking one pastes it
+  register(context, 'clipboard.listSlots', async () => {
+    const slot = await pickSlot('Pick a slot to paste');
+    if (slot) vscode.commands.executeCommand('clipboard.paste', { slot });
+  });
+
+  // 🏷️ Add tags to an entry
+  register(context, 'clipboard.tagItem', async (item) => {
+    const entry = getItemEntry(item);
+    if (!entry) return warn('Pick an entry in the Clipboard view to tag.');
+    const tags = await pickTags(`Tags for "${short(entry.text)}"`, entry.tags || []);
+    if (!tags || !tags.length) return;
+
+    const ok = await historyBackend.tagItem(entry.id, tags);
+    ok ? info(`Tagged with ${tags.map(tag => `#${tag}`).join(' ')}`) : warn('Could not tag the entry.');
+    dataProvider.refresh('slots', 'pinned', 'history');
+  });
+
+  // 🏷️ Remove tags from an entry
+  register(context, 'clipboard.untagItem', async (item) => {
+    const entry = getItemEntry(item);
+    if (!entry) return warn('Pick an entry in the Clipboard view to untag.');
+    if (!entry.tags || !entry.tags.length) return info('This entry has no tags.');
+    const picks = await vscode.window.showQuickPick(entry.tags.map(tag => ({ label: `#${tag}`, tag })), {
+      placeHolder: '🏷️ Remove which tags?',
+      canPickMany: true
+    });
+    if (!picks || !picks.length) return;
+
+    const ok = await historyBackend.untagItem(entry.id, picks.map(pick => pick.tag));
+    ok ? info(`Removed ${picks.map(pick => pick.label).join(' ')}`) : warn('Could not untag the entry.');
+    dataProvider.refresh('slots', 'pinned', 'history');
+  });
+
+  // 📁 Create a pinned folder (inside the folder it was run on)
+  register(context, 'clipboard.createFolder', async (item) => {
+    const parent = item && item.folder ? item.folder : '';
+    const name = await vscode.window.showInputBox({
+      prompt: parent ? `📁 New folder in ${parent}` : '📁 New folder for pinned items (use "/" to nest)',
+      validateInput: (value) => folderNameError(parent ? `${parent}/${value}` : value)
+    });
+    if (!name) return;
+
+    const folder = historyBackend.createFolder(parent ? `${parent}/${name}` : name);
+    folder ? info(`Created folder ${folder}`) : warn('Could not create the folder.');
+    dataProvider.refresh('pinned');
+  });
+
+  // ✏️ Rename a folder; a different parent path moves it
+  register(context, 'clipboard.renameFolder', async (item) => {
+    const folder = (item && item.folder) || await pickFolder('Rename which folder?');
+    if (!folder) return;
+
+    const name = await vscode.window.showInputBox({
+      prompt: `✏️ New path for ${folder}`,
+      value: folder,
+      validateInput: (value) => folderNameError(value, folder)
+    });
+    if (!name) return;
+
+    const ok = await historyBackend.renameFolder(folder, name);
+    ok ? info(`Renamed ${folder} to ${name.trim()}`) : warn(`Could not rename ${folder}.`);
+    dataProvider.refresh('pinned');
+  });
+
+  // 🗑️ Delete a folder; what it holds moves up one level
+  register(context, 'clipboard.deleteFolder', async (item) => {
+    const folder = (item && item.folder) || await pickFolder('Delete which folder?');
+    if (!folder) return;
+
+    const ok = await historyBackend.deleteFolder(folder);
+    ok ? info(`Deleted folder ${folder}`) : warn(`Could not delete ${folder}.`);
+    dataProvider.refresh('pinned');
+  });
+
+  // 📂 Move a pinned item into a folder
+  register(context, 'clipboard.moveToFolder', async (item) => {
+    const entry = getItemEntry(item);
+    if (!entry) return warn('Pick a pinned item to move.');
+    const folder = await pickFolder(`Move "${short(entry.text)}" to…`, { allowNew: true, allowNone: !!entry.folder, exclude: entry.folder });
+    if (folder === undefined) return;
+
+    const ok = await historyBackend.moveToFolder(entry.id, folder);
+    ok ? info(folder ? `Moved to ${folder}` : 'Moved out of its folder') : warn('Only pinned items can be moved into folders.');
+    dataProvider.refresh('pinned');
   });
 
   // 💾 Copy and Save (handles string, object, or selection)
   register(context, 'clipboard.copyAndSave', async (textArg) => {
     const text = await resolveTextArg(textArg);
     if (!text) return warn('Nothing to copy.');
+    // Only a selection read from the editor has a meaningful source location
+    const fromEditor = typeof textArg !== 'string' && !(textArg && textArg.label) && !getItemEntry(textArg);
+    const source = fromEditor ? selectionSource(vscode.window.activeTextEditor) : null;
+    const excluded = fromEditor && captureExclusion(source, text);
+    if (excluded) return warn(`Not saved: excluded from history by the ${excluded} in clipboardManager.capture.exclude.`);
 
     await runWithProgress('Saving to clipboard history', async () => {
-      const ok = await historyBackend.addToHistory(text);
+      const ok = await historyBackend.addToHistory(text, { source });
       if (ok) info('Saved to clipboard history.');
-      dataProvider.refresh();
+      dataProvider.refresh('history');
     });
   });
 
   // 📌 Pin item
   register(context, 'clipboard.pin', (item) => {
-    const cleanText = getItemText(item);
-    if (!cleanText) return;
+    const entry = getItemEntry(item);
+    if (!entry) return;
 
     runWithProgress('Pinning item', async () => {
-      const ok = await historyBackend.pinItem(cleanText);
-      ok ? info(`Pinned: "${short(cleanText)}"`) : warn('Item already pinned or invalid.');
-      dataProvider.refresh();
+      const ok = await historyBackend.pinItem(entry.id);
+      ok ? info(`Pinned: "${short(entry.text)}"`) : warn('Item already pinned or invalid.');
+      dataProvider.refresh('pinned', 'history');
     });
   });
 
   // 📍 Unpin item
   register(context, 'clipboard.unpin', (item) => {
-    const cleanText = getItemText(item);
-    if (!cleanText) return;
+    const entry = getItemEntry(item);
+    if (!entry) return;
 
     runWithProgress('Unpinning item', async () => {
-      const ok = await historyBackend.unpinItem(cleanText);
-      ok ? info(`Unpinned: "${short(cleanText)}"`) : warn('Item not found in pinned list.');
-      dataProvider.refresh();
+      const ok = await historyBackend.unpinItem(entry.id);
+      ok ? info(`Unpinned: "${short(entry.text)}"`) : warn('Item not found in pinned list.');
+      dataProvider.refresh('pinned', 'history');
     });
   });
 
@@ -180,10 +451,102 @@ function activate(context) {
     const editor = vscode.window.activeTextEditor;
     if (!editor) return warn('No active editor.');
 
-    await editor.edit((builder) => builder.replace(editor.selection, text));
+    const entry = getItemEntry(textArg);
+    await pasteIntoSelections(editor, text, entry ? { parts: entry.parts, snippet: entry.template } : {});
+    if (entry) historyBackend.markUsed(entry.id);
     info('Pasted item into editor.');
   });
 
+  // 📋 Pick one or more pinned/slot/history entries and paste them together
+  register(context, 'clipboard.showPastePicker', async () => {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) return warn('No active editor.');
+
+    const entries = await showPastePicker(historyBackend, dataProvider);
+    if (!entries.length) return;
+
+    const separator = vscode.workspace.getConfiguration('clipboardManager').get('picker.separator', '\n');
+    // Several entries are spread across the same number of cursors, like the parts of one entry
+    const texts = entries.map(entry => entry.text);
+    await pasteIntoSelections(editor, texts.join(separator), texts.length > 1
+      ? { parts: texts }
+      : { parts: entries[0].parts, snippet: entries[0].template });
+    entries.forEach(entry => historyBackend.markUsed(entry.id));
+    info(entries.length > 1 ? `Pasted ${entries.length} items into editor.` : 'Pasted item into editor.');
+  });
+
+  // 🔧 Run an entry through a chain of transforms (case, escaping, indentation, …) and paste the result
+  register(context, 'clipboard.pasteTransformed', async (item) => {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor) return warn('No active editor.');
+
+    const picked = getItemEntry(item);
+    const entries = picked ? [picked] : await showPastePicker(historyBackend, dataProvider);
+    if (!entries.length) return;
+    const separator = vscode.workspace.getConfiguration('clipboardManager').get('picker.separator', '\n');
+
+    const text = await showTransformPicker(entries.map(entry => entry.text).join(separator), transformContext(editor));
+    if (text === undefined) return;
+
+    // The chain has its own re-indent transform, so paste the result as is
+    await pasteIntoSelections(editor, text, { reindent: false });
+    entries.forEach(entry => historyBackend.markUsed(entry.id));
+    info('Pasted transformed item into editor.');
+  });
+
+  // 🧩 Turn an item into a snippet template (or edit one) in a temporary editor;
+  // saving the editor stores the template
+  const templateEdits = new Map(); // temp file path -> entry id
+  register(context, 'clipboard.editTemplate', async (item) => {
+    const entry = getItemEntry(item);
+    if (!entry) return warn('Pick a history or pinned item to edit as a template.');
+    if (entry.scope === 'global') return warn('Global entries are read-only in the merged view.');
+    if (entry.scope === 'collection') return warn('Workspace snippets are read-only; edit the collection file instead.');
+
+    const dir = path.join(context.globalStorageUri.fsPath, 'templates');
+    const file = path.join(dir, `template-${entry.id}.txt`);
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(file, entry.text, 'utf8');
+    } catch (err) {
+      console.error('[Clipboard Manager] Failed to create template file:', err.message || err);
+      return warn('Could not open the template editor.');
+    }
+    templateEdits.set(file, entry.id);
+
+    let doc = await vscode.workspace.openTextDocument(file);
+    if (entry.source && entry.source.languageId) {
+      doc = await vscode.languages.setTextDocumentLanguage(doc, entry.source.languageId).then(d => d, () => doc);
+    }
+    await vscode.window.showTextDocument(doc);
+    info('Edit the template and save to store it. Use ${1:name} tab stops, ${2|a,b|} choices and variables like $TM_FILENAME or $CURRENT_DATE.');
+  });
+
+  // 📝 Open the full text of an entry; saving the document updates the entry
+  register(context, 'clipboard.openEntry', async (item) => {
+    const entry = getItemEntry(item);
+    if (!entry) return warn('Pick an entry in the Clipboard view to open.');
+
+    let doc = await vscode.workspace.openTextDocument(EntryFileSystemProvider.uriFor(entry));
+    if (entry.source && entry.source.languageId) {
+      doc = await vscode.languages.setTextDocumentLanguage(doc, entry.source.languageId).then(d => d, () => doc);
+    }
+    await vscode.window.showTextDocument(doc, { preview: true });
+  });
+
+  context.subscriptions.push(vscode.workspace.onDidSaveTextDocument(async (doc) => {
+    const id = templateEdits.get(doc.uri.fsPath);
+    if (!id) return;
+    const ok = await historyBackend.setTemplate(id, doc.getText());
+    ok ? info('Template saved to Pinned.') : warn('Could not save the template.');
+    dataProvider.refresh('pinned', 'history');
+  }));
+
+  context.subscriptions.push(vscode.workspace.onDidCloseTextDocument((doc) => {
+    if (!templateEdits.delete(doc.uri.fsPath)) return;
+    try { fs.unlinkSync(doc.uri.fsPath); } catch (e) {}
+  }));
+
   // 📋 Copy a history/pinned/search item to the system clipboard (so it can be pasted outside VS Code)
   register(context, 'clipboard.copyToClipboard', async (item) => {
     const text = getItemText(item);
@@ -200,35 +563,201 @@ function activate(context) {
 
   // �🗑️ Delete item (with confirmation)
   register(context, 'clipboard.delete', async (item) => {
-    const cleanText = getItemText(item);
-    if (!cleanText) return;
+    const entry = getItemEntry(item);
+    if (!entry) return;
 
     const confirm = await vscode.window.showQuickPick(['Yes', 'No'], {
-      placeHolder: `🗑️ Delete "${short(cleanText)}" from clipboard history?`,
+      placeHolder: `🗑️ Delete "${short(entry.text)}" from clipboard history?`,
     });
 
     if (confirm === 'Yes') {
       await runWithProgress('Deleting item', async () => {
-        const success = await historyBackend.deleteItem(cleanText);
-        if (success) info(`Deleted: "${short(cleanText)}"`);
+        const success = await historyBackend.deleteItem(entry.id);
+        if (success) info(`Deleted: "${short(entry.text)}"${trashDays() ? ' (restore it from the Trash)' : ''}`);
         else warn('Item not found in history.');
-        dataProvider.refresh();
+        dataProvider.refresh('pinned', 'history', 'trash');
       });
     }
   });
 
-  // 🔍 Search clipboard history
-  register(context, 'clipboard.search', async () => {
-    const query = await vscode.window.showInputBox({
-      prompt: '🔍 Search clipboard history...',
-      placeHolder: 'Type a keyword to filter clipboard entries',
+  // ♻️ Trash: restore deleted and cleared entries, or remove them for good
+  register(context, 'clipboard.restoreItem', async (item) => {
+    const id = item && (item.trashId || item.id);
+    const entry = id && historyBackend.getTrash().find(e => e.id === id);
+    if (!entry) return warn('Select an entry in the Trash to restore.');
+    if (await historyBackend.restoreItem(id)) info(`Restored: "${short(entry.text)}"`);
+    else warn('Failed to restore the entry.');
+    dataProvider.refresh('pinned', 'history', 'trash');
+  });
+
+  register(context, 'clipboard.restoreAll', async () => {
+    const count = historyBackend.getTrash().length;
+    if (!count) return info('The trash is empty.');
+    if (await historyBackend.restoreAll()) info(`Restored ${count} entr${count === 1 ? 'y' : 'ies'} from the trash.`);
+    else warn('Failed to restore the trash.');
+    dataProvider.refresh('pinned', 'history', 'trash');
+  });
+
+  register(context, 'clipboard.emptyTrash', async () => {
+    const count = historyBackend.getTrash().length;
+    if (!count) return info('The trash is empty.');
+    const choice = await vscode.window.showWarningMessage(
+      `Permanently delete ${count} entr${count === 1 ? 'y' : 'ies'} in the trash?`,
+      { modal: true, detail: 'They cannot be restored or brought back with undo.' },
+      'Empty Trash'
+    );
+    if (choice !== 'Empty Trash') return;
+    if (historyBackend.emptyTrash()) info('Emptied the trash.');
+    else warn('Failed to empty the trash.');
+    dataProvider.refresh('trash');
+  });
+
+  // 🔍 Search slots, pinned items and history with live results
+  register(context, 'clipboard.search', () => showSearchPicker(historyBackend, dataProvider));
+
+  // 🔐 Turn history encryption on/off, rotate the key, or reset a locked history
+  register(context, 'clipboard.toggleEncryption', async () => {
+    const status = historyBackend.getStorageStatus();
+    const options = status.locked
+      ? [{ label: '$(debug-restart) Start a new history', detail: 'Moves the locked file aside (it is not deleted) and starts empty.', action: 'reset' }]
+      : status.encrypted
+        ? [
+          { label: '$(unlock) Disable encryption', detail: 'Rewrites the history file as plain JSON.', action: 'disable' },
+          { label: '$(key) Re-encrypt with a new key', detail: 'Generates a new key and rewrites the history file.', action: 'rotate' }
+        ]
+        : [{ label: '$(lock) Enable encryption', detail: 'Encrypts the history file with a key kept in VS Code secret storage.', action: 'enable' }];
+    const pick = await vscode.window.showQuickPick(options, { placeHolder: '🔐 Clipboard history encryption' });
+    if (!pick) return;
+
+    try {
+      if (pick.action === 'reset') {
+        const aside = historyBackend.resetLockedStorage();
+        if (!aside) return warn('Could not move the locked history file.');
+        info(`Started a new history. The locked file was kept at ${aside}`);
+      } else if (pick.action === 'disable') {
+        if (!historyBackend.reencrypt(null)) return warn('Failed to rewrite the history file.');
+        await context.secrets.delete(ENCRYPTION_SECRET);
+        info('History encryption disabled.');
+      } else {
+        const previousKey = await context.secrets.get(ENCRYPTION_SECRET);
+        const key = crypto.randomBytes(32).toString('base64');
+        await context.secrets.store(ENCRYPTION_SECRET, key);
+        if (!historyBackend.reencrypt(key)) {
+          if (previousKey) await context.secrets.store(ENCRYPTION_SECRET, previousKey);
+          else await context.secrets.delete(ENCRYPTION_SECRET);
+          return warn('Failed to encrypt the history file.');
+        }
+        info(pick.action === 'rotate' ? 'History re-encrypted with a new key.' : 'History encryption enabled.');
+        if (historyBackend.hasCli()) warn('The C++ CLI keeps its own unencrypted copy of the history.');
+      }
+      dataProvider.refresh();
+    } catch (err) {
+      console.error('[Clipboard Manager] Encryption change failed:', err.message || err);
+      warn(`Encryption change failed: ${err.message || err}`);
+    }
+  });
+
+  // 📚 Copy a pinned item into a workspace snippet collection
+  register(context, 'clipboard.promoteToCollection', async (item) => {
+    const entry = getItemEntry(item);
+    if (!entry) return warn('Pick a pinned item to add to a workspace collection.');
+    if (!vscode.workspace.workspaceFolders) return warn('Open a workspace folder first.');
+
+    const pick = await vscode.window.showQuickPick([
+      ...snippetCollections.getCollections().map(collection => ({
+        label: `$(${collection.icon}) ${collection.name}`,
+        description: vscode.workspace.asRelativePath(collection.file),
+        collection
+      })),
+      { label: '$(add) New collection...', collection: null }
+    ], { placeHolder: `📚 Add "${short(entry.text)}" to which collection?` });
+    if (!pick) return;
+
+    let target = pick.collection;
+    if (!target) {
+      const name = await vscode.window.showInputBox({ prompt: '📚 Name of the new collection', value: 'Team' });
+      if (!name || !name.trim()) return;
+      target = { name: name.trim() };
+    }
+    const label = await vscode.window.showInputBox({
+      prompt: '🏷️ Label for the snippet',
+      value: short(entry.text.split('\n')[0].trim())
+    });
+    if (label === undefined) return;
+
+    try {
+      const file = await snippetCollections.addSnippet(target, entry, label.trim() || null);
+      info(`Added to "${target.name}" in ${vscode.workspace.asRelativePath(file)}`);
+    } catch (err) {
+      console.error('[Clipboard Manager] Failed to update snippet collection:', err.message || err);
+      warn(`Could not update the collection: ${err.message || err}`);
+    }
+  });
+
+  // 📤 Export slots, pinned items and history to JSON, Markdown or plain text
+  register(context, 'clipboard.export', async () => {
+    const formats = Object.keys(historyExport.FORMATS);
+    const pick = await vscode.window.showQuickPick(
+      formats.map(format => ({ label: historyExport.FORMATS[format].label, format })),
+      { placeHolder: '📤 Export clipboard history as…' }
+    );
+    if (!pick) return;
+
+    const { label, extensions } = historyExport.FORMATS[pick.format];
+    const defaultDir = vscode.workspace.workspaceFolders ? vscode.workspace.workspaceFolders[0].uri : undefined;
+    const target = await vscode.window.showSaveDialog({
+      defaultUri: defaultDir ? vscode.Uri.joinPath(defaultDir, `clipboard-export.${extensions[0]}`) : undefined,
+      filters: { [label]: extensions }
     });
+    if (!target) return;
 
-    if (query !== undefined) {
-      dataProvider.search(query); // ✅ correct call — uses provider’s search()
+    try {
+      const content = historyExport.serialize(historyBackend.exportData(), pick.format);
+      await vscode.workspace.fs.writeFile(target, Buffer.from(content, 'utf8'));
+      info(`Exported clipboard history to ${path.basename(target.fsPath)}`);
+    } catch (err) {
+      console.error('[Clipboard Manager] Export failed:', err.message || err);
+      warn(`Export failed: ${err.message || err}`);
     }
   });
 
+  // 📥 Import an export (or an older history file), merging or replacing
+  register(context, 'clipboard.import', async () => {
+    const [source] = await vscode.window.showOpenDialog({
+      canSelectMany: false,
+      filters: { 'Clipboard exports': ['json', 'md', 'markdown', 'txt'], 'All files': ['*'] }
+    }) || [];
+    if (!source) return;
+
+    let incoming;
+    try {
+      const content = Buffer.from(await vscode.workspace.fs.readFile(source)).toString('utf8');
+      incoming = historyExport.parse(content, historyExport.formatForFile(source.fsPath));
+    } catch (err) {
+      return warn(`Could not read ${path.basename(source.fsPath)}: ${err.message || err}`);
+    }
+
+    const mode = await vscode.window.showQuickPick([
+      { label: '$(merge) Merge', detail: 'Add new entries; existing entries and used slots are kept.', mode: 'merge' },
+      { label: '$(replace-all) Replace', detail: 'Replace all slots, pinned items and history with the import.', mode: 'replace' }
+    ], { placeHolder: `📥 Import ${path.basename(source.fsPath)}` });
+    if (!mode) return;
+
+    await runWithProgress('Importing clipboard history', async () => {
+      const result = await historyBackend.importData(incoming, mode.mode);
+      if (result) {
+        const notes = [
+          result.skipped ? `${result.skipped} duplicates or skipped` : '',
+          result.expired ? `${result.expired} dropped by the history limits` : ''
+        ].filter(Boolean).join(', ');
+        info(`Imported ${result.added} entries${notes ? ` (${notes})` : ''}. Use Undo to revert.`);
+      } else {
+        warn('Import failed.');
+      }
+      dataProvider.refresh();
+    });
+  });
+
   // ↩️ Exit search view (clears search filter)
   register(context, 'clipboard.exitSearch', () => {
     if (dataProvider) dataProvider.search('');
@@ -236,52 +765,77 @@ function activate(context) {
 
   // --------------------------------------------------------------------------
   // ⚙️ Clipboard Auto-Capture
+  // Copy, cut and paste in editors are hooked; copies made elsewhere are
+  // picked up by adaptive polling (see captureService.js)
   // --------------------------------------------------------------------------
-  
-  // --------------------------------------------------------------------------
-  // ⚙️ Clipboard Auto-Capture
-  // 1) Capture on Ctrl+C (override copy command)
-  // 2) Poll for external clipboard changes every 2s
-  // We keep a shared `lastClipboard` variable so both mechanisms don't double-add
-  let lastClipboard = '';
-
-  // Initialize lastClipboard from current clipboard value (non-blocking)
-  vscode.env.clipboard.readText().then((initial) => {
-    try { lastClipboard = (initial || '').replace(/\r\n/g, '\n'); } catch (e) { lastClipboard = initial || ''; }
-  }, () => { lastClipboard = ''; });
-
-  // 1. Capture on Ctrl+C
-  const disposable = vscode.commands.registerCommand('editor.action.clipboardCopyAction', async () => {
-    // First run the default copy command (use the syntax-highlighting variant to preserve behavior)
-    await vscode.commands.executeCommand('editor.action.clipboardCopyWithSyntaxHighlightingAction');
-
-    // Then grab the copied text and add to history
-    const raw = await vscode.env.clipboard.readText();
-    const text = raw ? String(raw).replace(/\r\n/g, '\n') : raw;
-    if (text && text.trim()) {
-      const ok = await historyBackend.addToHistory(text);
-      if (ok) {
-        lastClipboard = text; // prevent the poller from adding the same item shortly after
-        dataProvider.refresh();
-      }
-    }
+  const capture = new CaptureService(historyBackend, (text, meta) => captureExclusion(meta.source, text));
+  context.subscriptions.push(capture, capture.onDidCapture(() => dataProvider.refresh('history')));
+  capture.start();
+
+  // 1. Ctrl+C (and Edit > Copy): run the default copy, then record it with its source.
+  // The syntax-highlighting variant does the same copy without calling us again.
+  register(context, 'editor.action.clipboardCopyAction', () => capture.runAndCapture(
+    'editor.action.clipboardCopyWithSyntaxHighlightingAction',
+    { source: selectionSource(vscode.window.activeTextEditor), origin: 'copy' }
+  ));
+
+  // 2. Ctrl+X: read the selection's source before the cut removes it
+  register(context, 'clipboard.captureCut', () => capture.runAndCapture(
+    'editor.action.clipboardCutAction',
+    { source: selectionSource(vscode.window.activeTextEditor), origin: 'cut' }
+  ));
+
+  // 2b. Copy from the terminal selection
+  register(context, 'clipboard.captureTerminalCopy', () => capture.runAndCapture(
+    'workbench.action.terminal.copySelection',
+    { origin: 'terminal' }
+  ));
+
+  // 3. Ctrl+V: pick up an outside copy right before it is pasted
+  register(context, 'clipboard.capturePaste', async () => {
+    await capture.poll();
+    await vscode.commands.executeCommand('editor.action.clipboardPasteAction');
   });
-  context.subscriptions.push(disposable);
 
-  // 2. Poll for external clipboard changes every 2s
-  setInterval(async () => {
-    try {
-      const rawCurrent = await vscode.env.clipboard.readText();
-      const current = rawCurrent ? String(rawCurrent).replace(/\r\n/g, '\n') : rawCurrent;
-      if (current && current.trim() && current !== lastClipboard) {
-        lastClipboard = current;
-        const ok = await historyBackend.addToHistory(current);
-        if (ok) dataProvider.refresh();
-      }
-    } catch (err) {
-      console.error('[Clipboard Manager] Clipboard poll error:', err.message || err);
-    }
-  }, 2000);
+  // 🚫 Stop capturing copies from a file (editor context menu)
+  register(context, 'clipboard.excludeFile', async (uri) => {
+    const target = uri instanceof vscode.Uri ? uri : vscode.window.activeTextEditor && vscode.window.activeTextEditor.document.uri;
+    if (!target) return warn('Open a file first.');
+
+    const folder = vscode.workspace.getWorkspaceFolder(target);
+    // Anchored to the folder root (or absolute), so only this very file matches
+    const pattern = folder ? `./${vscode.workspace.asRelativePath(target, false)}` : target.fsPath.replace(/\\/g, '/');
+    const config = vscode.workspace.getConfiguration('clipboardManager', target);
+    const rules = config.get('capture.exclude', {});
+    const files = Array.isArray(rules.files) ? rules.files : [];
+    if (files.includes(pattern)) return info(`Copies from ${pattern} are already excluded.`);
+
+    // Object settings replace each other per scope, so the merged rules are written back
+    await config.update('capture.exclude', { ...rules, files: [...files, pattern] },
+      folder ? vscode.ConfigurationTarget.WorkspaceFolder : vscode.ConfigurationTarget.Global);
+    info(`Copies from ${pattern} will no longer be saved to clipboard history.`);
+  });
+
+  // 🔎 Show only entries captured a certain way
+  register(context, 'clipboard.filterByOrigin', async () => {
+    const pick = await vscode.window.showQuickPick([
+      { label: '$(copy) Copied in an editor', origin: 'copy' },
+      { label: '$(scissors) Cut in an editor', origin: 'cut' },
+      { label: '$(terminal) Copied in a terminal', origin: 'terminal' },
+      { label: '$(globe) Copied outside VS Code', origin: 'external' }
+    ], { placeHolder: '🔎 Show entries captured from…' });
+    if (pick) dataProvider.search(`from:${pick.origin}`);
+  });
+
+  // ⏯️ Pause / resume capture (status bar toggle)
+  register(context, 'clipboard.pauseCapture', () => capture.setEnabled(false));
+  register(context, 'clipboard.resumeCapture', () => capture.setEnabled(true));
+  register(context, 'clipboard.toggleCapture', () => capture.setEnabled(!capture.enabled));
+
+  // 📊 Status bar: capture state, entry count and the latest entry
+  const statusBar = new ClipboardStatusBar(historyBackend, capture,
+    (doc) => captureExclusion({ uri: doc.uri.toString(), languageId: doc.languageId }, ''));
+  context.subscriptions.push(statusBar, dataProvider.onDidChangeTreeData(() => statusBar.update()));
 
   console.log('✅ Clipboard Manager activated successfully.');
 }
@@ -290,6 +844,95 @@ function activate(context) {
 // 🧠 Utility Functions
 // --------------------------------------------------------------------------
 
+// Push the `clipboardManager.*` settings into the backend and the sensitive detector
+function applySettings() {
+  const config = vscode.workspace.getConfiguration('clipboardManager');
+  sensitiveDetector.configure({
+    patterns: config.get('sensitive.patterns', []),
+    highEntropy: config.get('sensitive.detectHighEntropy', true)
+  });
+  transforms.configure({ custom: config.get('transforms.custom', []) });
+  historyBackend.configure({
+    maxEntries: config.get('history.maxEntries', 100),
+    maxTotalBytes: config.get('history.maxTotalBytes', 0),
+    maxAgeDays: config.get('history.maxAgeDays', 0),
+    maxEntrySize: config.get('history.maxEntrySize', 0),
+    oversizedEntries: config.get('history.oversizedEntries', 'skip'),
+    trashDays: trashDays(),
+    sensitive: {
+      action: config.get('sensitive.action', 'mask'),
+      expireMinutes: config.get('sensitive.expireMinutes', 10)
+    }
+  });
+}
+
+// Days deleted entries stay in the trash (0: deletions are permanent)
+function trashDays() {
+  return vscode.workspace.getConfiguration('clipboardManager').get('history.trashRetentionDays', 7);
+}
+
+// Pick the history file(s) for `clipboardManager.storage.scope`:
+// - global: one history shared by all windows (globalStorageUri)
+// - workspace: a separate history per workspace (storageUri)
+// - both: the workspace history, with the global one shown merged (read-only)
+function resolveStorage(context) {
+  const scope = vscode.workspace.getConfiguration('clipboardManager').get('storage.scope', 'global');
+  const globalFile = path.join(context.globalStorageUri.fsPath, HISTORY_FILE_NAME);
+  fs.mkdirSync(path.dirname(globalFile), { recursive: true });
+
+  if (scope === 'global') return { primary: globalFile, merged: null };
+  if (!context.storageUri) {
+    console.warn('[Clipboard Manager] No workspace open; using the global history.');
+    return { primary: globalFile, merged: null };
+  }
+  const workspaceFile = path.join(context.storageUri.fsPath, HISTORY_FILE_NAME);
+  fs.mkdirSync(path.dirname(workspaceFile), { recursive: true });
+  return { primary: workspaceFile, merged: scope === 'both' ? globalFile : null };
+}
+
+// One-time copy of the history older versions kept in <extension>/data
+function migrateLegacyHistory(context) {
+  if (context.globalState.get(LEGACY_MIGRATED_KEY)) return;
+  const globalFile = path.join(context.globalStorageUri.fsPath, HISTORY_FILE_NAME);
+  try {
+    const legacyFile = findLegacyHistoryFile(context);
+    if (legacyFile && !fs.existsSync(globalFile)) {
+      fs.mkdirSync(path.dirname(globalFile), { recursive: true });
+      fs.copyFileSync(legacyFile, globalFile);
+      console.log(`[Clipboard Manager] Migrated history from ${legacyFile} to ${globalFile}`);
+    }
+    context.globalState.update(LEGACY_MIGRATED_KEY, true);
+  } catch (error) {
+    console.error('[Clipboard Manager] Failed to migrate legacy history:', error.message);
+  }
+}
+
+// Older versions kept their history in `data/` inside the extension folder.
+// Updates install into a new `<publisher>.<name>-<version>` folder, so look in
+// this one and its siblings and take the most recently written file.
+function findLegacyHistoryFile(context) {
+  const own = context.extensionPath;
+  const parent = path.dirname(own);
+  const prefix = `${context.extension ? context.extension.id : path.basename(own).replace(/-[^-]*$/, '')}-`.toLowerCase();
+  let folders = [own];
+  try {
+    folders = folders.concat(fs.readdirSync(parent)
+      .filter(name => name.toLowerCase().startsWith(prefix) && /^\d/.test(name.slice(prefix.length)))
+      .map(name => path.join(parent, name))
+      .filter(folder => folder !== own));
+  } catch (error) { /* only the own folder */ }
+
+  let newest = null;
+  for (const folder of folders) {
+    const file = path.join(folder, 'data', HISTORY_FILE_NAME);
+    try {
+      const mtime = fs.statSync(file).mtimeMs;
+      if (!newest || mtime > newest.mtime) newest = { file, mtime };
+    } catch (error) { /* no history in this folder */ }
+  }
+  return newest && newest.file;
+}
+
 function ensureHistoryFile(filePath) {
   try {
     if (!fs.existsSync(filePath)) {
@@ -306,6 +949,8 @@ function ensureHistoryFile(filePath) {
 
 async function resolveTextArg(arg) {
   if (typeof arg === 'string') return arg.trim();
+  const entry = getItemEntry(arg);
+  if (entry) return entry.text;
   if (arg && arg.label) return getItemText(arg);
 
   const editor = vscode.window.activeTextEditor;
@@ -317,10 +962,260 @@ async function resolveTextArg(arg) {
   return text.trim() ? text : '';
 }
 
+// Text of all selections in document order. With several cursors each
+// selection is also returned as a part, joined by newlines like VS Code's own copy.
+function selectionTexts(editor) {
+  const selections = [...editor.selections].sort((a, b) => a.start.compareTo(b.start));
+  const parts = selections.map(selection => editor.document.getText(selection));
+  return parts.length > 1 ? { text: parts.join('\n'), parts } : { text: parts[0], parts: null };
+}
+
+// Paste at every cursor: one part per cursor when the counts match (and
+// editor.multiCursorPaste is "spread"), otherwise the full text at each cursor.
+// Multi-line text is re-indented to each cursor's line unless
+// clipboardManager.paste.reindent is off or `reindent: false` is passed.
+// Templates are inserted as snippets so their tab stops and variables work.
+function pasteIntoSelections(editor, text, { parts, snippet, reindent = true } = {}) {
+  if (snippet) return editor.insertSnippet(new vscode.SnippetString(text));
+  const selections = editor.selections;
+  const spread = Array.isArray(parts) && parts.length > 1 && parts.length === selections.length
+    && vscode.workspace.getConfiguration('editor', editor.document).get('multiCursorPaste', 'spread') === 'spread';
+  const adjust = reindent && vscode.workspace.getConfiguration('clipboardManager').get('paste.reindent', true);
+  const sorted = [...selections].sort((a, b) => a.start.compareTo(b.start));
+  return editor.edit((builder) => {
+    sorted.forEach((selection, i) => {
+      const value = spread ? parts[i] : text;
+      builder.replace(selection, adjust && value.includes('\n') ? reindentFor(editor, selection, value) : value);
+    });
+  });
+}
+
+function reindentFor(editor, selection, text) {
+  const line = editor.document.lineAt(selection.start.line);
+  const indent = line.text.slice(0, Math.min(line.firstNonWhitespaceCharacterIndex, selection.start.character));
+  return transforms.reindent(text.replace(/\r\n/g, '\n'), indent, {
+    insertSpaces: editor.options.insertSpaces !== false,
+    tabSize: typeof editor.options.tabSize === 'number' ? editor.options.tabSize : 4
+  });
+}
+
+// Slot named by a command argument: keybinding args, tree slot items and
+// click arguments all carry `slot`
+function getItemSlot(item) {
+  if (!item || typeof item !== 'object') return null;
+  if (item.slot !== undefined && item.slot !== null) return String(item.slot);
+  const arg = item.command && Array.isArray(item.command.arguments) ? item.command.arguments[0] : null;
+  return arg && arg.slot !== undefined && arg.slot !== null ? String(arg.slot) : null;
+}
+
+function slotNameError(value, current) {
+  const name = historyBackend.normalizeSlotName(value);
+  if (name === null) return 'Use up to 40 letters, digits, "_", "-" or "."';
+  if (name !== current && historyBackend.getSlotEntry(name)) return `Slot ${name} is already in use`;
+  return null;
+}
+
+// Ask for a slot. With `allowNew` a typed name that isn't in use yet is offered
+// as a new slot. Resolves to the slot name, or undefined when cancelled.
+function pickSlot(placeHolder, { allowNew = false, exclude = null } = {}) {
+  const { slots = {} } = historyBackend.getAll();
+  const existing = Object.keys(slots)
+    .filter(slot => slot !== exclude)
+    .map(slot => ({
+      label: `$(${slots[slot].sensitive ? 'lock' : 'save-all'}) ${slot}`,
+      description: short(slots[slot].text.split(/\r?\n/)[0].trim()),
+      slot
+    }));
+  if (!existing.length && !allowNew) {
+    info('No saved slots yet.');
+    return Promise.resolve(undefined);
+  }
+
+  return new Promise((resolve) => {
+    const picker = vscode.window.createQuickPick();
+    picker.placeholder = allowNew ? `${placeHolder} (type a number or name for a new slot)` : placeHolder;
+    picker.items = existing;
+    let chosen;
+    picker.onDidChangeValue((value) => {
+      if (!allowNew) return;
+      const name = historyBackend.normalizeSlotName(value);
+      const isNew = name !== null && name !== exclude && !slots[name];
+      picker.items = isNew
+        ? [{ label: `$(add) ${name}`, description: 'New slot', alwaysShow: true, slot: name }, ...existing]
+        : existing;
+    });
+    picker.onDidAccept(() => {
+      const [item] = picker.selectedItems;
+      if (!item) return;
+      chosen = item.slot;
+      picker.hide();
+    });
+    picker.onDidHide(() => {
+      picker.dispose();
+      resolve(chosen);
+    });
+    picker.show();
+  });
+}
+
+// Pick existing tags or type new ones (space or comma separated). Resolves to
+// the chosen tag names, or undefined when cancelled.
+function pickTags(placeHolder, current) {
+  const existing = historyBackend.getTags()
+    .filter(tag => !current.includes(tag))
+    .map(tag => ({ label: `#${tag}`, tag }));
+
+  return new Promise((resolve) => {
+    const picker = vscode.window.createQuickPick();
+    picker.placeholder = `🏷️ ${placeHolder} (type to add new tags)`;
+    picker.canSelectMany = true;
+    picker.items = existing;
+    let typed = [];
+    let chosen;
+    picker.onDidChangeValue((value) => {
+      typed = value.split(/[\s,]+/).map(tag => tag.replace(/^#/, '').toLowerCase()).filter(Boolean)
+        .filter(tag => !current.includes(tag) && !existing.some(item => item.tag === tag));
+      const selected = picker.selectedItems.filter(item => !item.isNew);
+      picker.items = [...typed.map(tag => ({ label: `$(add) #${tag}`, description: 'New tag', alwaysShow: true, tag, isNew: true })), ...existing];
+      picker.selectedItems = [...picker.items.filter(item => item.isNew), ...selected];
+    });
+    picker.onDidAccept(() => {
+      chosen = picker.selectedItems.map(item => item.tag);
+      picker.hide();
+    });
+    picker.onDidHide(() => {
+      picker.dispose();
+      resolve(chosen);
+    });
+    picker.show();
+  });
+}
+
+// Pick a pinned folder. With `allowNew` a typed path can be chosen as a new
+// folder; with `allowNone` a "No folder" item resolves to null.
+// Resolves to undefined when cancelled.
+function pickFolder(placeHolder, { allowNew = false, allowNone = false, exclude = null } = {}) {
+  const folders = historyBackend.getFolders().filter(folder => folder !== exclude);
+  const existing = [
+    ...(allowNone ? [{ label: '$(close) No folder', folder: null }] : []),
+    ...folders.map(folder => ({ label: `$(folder) ${folder}`, folder }))
+  ];
+  if (!existing.length && !allowNew) {
+    info('No pinned folders yet.');
+    return Promise.resolve(undefined);
+  }
+
+  return new Promise((resolve) => {
+    const picker = vscode.window.createQuickPick();
+    picker.placeholder = allowNew ? `📁 ${placeHolder} (type a path for a new folder)` : `📁 ${placeHolder}`;
+    picker.items = existing;
+    let chosen;
+    picker.onDidChangeValue((value) => {
+      if (!allowNew) return;
+      const isNew = value.trim() && !folderNameError(value);
+      const folder = value.split('/').map(segment => segment.trim()).filter(Boolean).join('/');
+      picker.items = isNew
+        ? [{ label: `$(new-folder) ${folder}`, description: 'New folder', alwaysShow: true, folder }, ...existing]
+        : existing;
+    });
+    picker.onDidAccept(() => {
+      const [item] = picker.selectedItems;
+      if (!item) return;
+      chosen = item.folder;
+      picker.hide();
+    });
+    picker.onDidHide(() => {
+      picker.dispose();
+      resolve(chosen);
+    });
+    picker.show();
+  });
+}
+
+function folderNameError(value, current) {
+  const folder = String(value || '').split('/').map(segment => segment.trim()).filter(Boolean).join('/');
+  if (!folder) return 'Enter a folder name';
+  if (folder.split('/').some(segment => segment.length > 60)) return 'Folder names can be up to 60 characters';
+  if (folder !== current && historyBackend.getFolders().includes(folder)) return `${folder} already exists`;
+  if (current && folder.startsWith(`${current}/`)) return 'A folder cannot be moved into itself';
+  return null;
+}
+
+// What transforms need to know about the paste target
+function transformContext(editor) {
+  const line = editor.document.lineAt(editor.selection.active.line);
+  return {
+    indent: line.text.slice(0, line.firstNonWhitespaceCharacterIndex),
+    languageId: editor.document.languageId,
+    insertSpaces: editor.options.insertSpaces !== false,
+    tabSize: typeof editor.options.tabSize === 'number' ? editor.options.tabSize : 4
+  };
+}
+
+// Editor context recorded with an entry: document, language and selection range
+function selectionSource(editor) {
+  if (!editor) return null;
+  let { start, end } = editor.selection;
+  // Copy/cut without a selection takes the whole line
+  if (editor.selection.isEmpty && vscode.workspace.getConfiguration('editor', editor.document).get('emptySelectionClipboard', true)) {
+    start = start.with({ character: 0 });
+    end = start.translate(1, 0);
+  }
+  return {
+    uri: editor.document.uri.toString(),
+    languageId: editor.document.languageId,
+    range: {
+      start: { line: start.line, character: start.character },
+      end: { line: end.line, character: end.character }
+    }
+  };
+}
+
+// Which clipboardManager.capture.exclude rule keeps `text` copied from
+// `source` (an entry source, or null) out of history; null when none does
+function captureExclusion(source, text) {
+  let uri = null;
+  try {
+    uri = source && source.uri ? vscode.Uri.parse(source.uri) : null;
+  } catch (e) { /* not a URI: only the language and content rules apply */ }
+  const config = vscode.workspace.getConfiguration('clipboardManager', uri);
+  return captureFilter.excludedBy(captureFilter.compileRules(config.get('capture.exclude', {})), {
+    path: uri ? (uri.scheme === 'file' ? uri.fsPath : uri.path) : null,
+    relativePath: uri ? vscode.workspace.asRelativePath(uri, false) : null,
+    languageId: source && source.languageId,
+    text
+  });
+}
+
+// Resolve a command argument to a stored entry. Tree items carry `entryId`,
+// click commands pass `{ id }`; a plain string is tried as an id, then as text.
+function getItemEntry(item) {
+  if (!item) return null;
+  if (typeof item === 'string') return lookupEntry(item) || historyBackend.findEntry(item);
+  if (typeof item !== 'object') return null;
+  if (item.entryId) return lookupEntry(item.entryId);
+  if (typeof item.id === 'string') {
+    const entry = lookupEntry(item.id);
+    if (entry) return entry;
+  }
+  if (item.command && Array.isArray(item.command.arguments) && item.command.arguments.length) {
+    const arg = item.command.arguments[0];
+    if (arg && typeof arg === 'object' && typeof arg.id === 'string') return lookupEntry(arg.id);
+  }
+  return null;
+}
+
+// Stored entries first, then read-only workspace collection snippets
+function lookupEntry(id) {
+  return historyBackend.getEntry(id) || (snippetCollections && snippetCollections.getEntry(id)) || null;
+}
+
 function getItemText(item) {
   if (!item) return '';
   // If it's a direct string, return it
   if (typeof item === 'string') return item;
+  const entry = getItemEntry(item);
+  if (entry) return entry.text;
   // If the TreeItem carries a command argument (our provider sets this), prefer that
   // This ensures context-menu actions receive the full original text instead of a truncated description.
   try {
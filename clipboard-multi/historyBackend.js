@@ -4,19 +4,48 @@
 const fs = require('fs');
 const path = require('path');
 const child = require('child_process');
+const crypto = require('crypto');
+const sensitiveDetector = require('./sensitiveDetector');
+const searchQuery = require('./searchQuery');
+
+const DATA_VERSION = 2;
 
 let HISTORY_FILE = '';
 let CLI_PATH = null;
 let historyData = {
+  version: DATA_VERSION,
   slots: {},
   history: [],
   pinned: [],
   // optional flattened list with pinned markers (produced by C++ export)
   all: [],
-  // store last deleted item for undo
-  lastDeleted: null
+  // undo/redo stacks of recorded mutations
+  journal: { undo: [], redo: [] },
+  // pinned folders created by the user (folders holding items are also derived from the entries)
+  folders: [],
+  // deleted/cleared entries kept for `limits.trashDays` (see Trash below)
+  trash: []
+};
+
+// Retention limits (0 disables a limit); set from the extension settings via configure()
+let limits = {
+  maxEntries: 100,
+  maxTotalBytes: 0,
+  maxAgeDays: 0,
+  maxEntrySize: 0,
+  oversizedEntries: 'skip',
+  trashDays: 7
 };
 
+// What to do with copies the sensitive detector flags: 'mask' | 'skip' | 'expire' | 'off'
+let sensitivePolicy = { action: 'mask', expireMinutes: 10 };
+
+// Encryption at rest: a 32-byte key (from VS Code SecretStorage) or null for plain JSON.
+// `storageLock` is set when the file is encrypted but can't be decrypted; while
+// locked nothing is written so the file is never overwritten.
+let ENCRYPTION_KEY = null;
+let storageLock = null;
+
 // In-memory guard to avoid saving the same clipboard text multiple times
 // when a single Ctrl+C triggers multiple handlers (not persisted to disk)
 let _lastAddedText = null;
@@ -28,45 +57,407 @@ let _lastAddedAt = 0;
 function init(filePath, cliPath) {
   HISTORY_FILE = filePath;
   CLI_PATH = cliPath || null;
+  storageLock = null;
 
   try {
     if (!fs.existsSync(HISTORY_FILE)) {
-      // If CLI exists, try to ask it to export JSON into HISTORY_FILE
-      if (CLI_PATH) {
-        try {
-          runCliSync(['export-json', HISTORY_FILE]);
-        } catch (e) {}
+      // Start from the CLI's history when there is one, then create the file
+      const parsed = CLI_PATH ? exportFromCli() : null;
+      if (parsed) loadData(parsed);
+      saveFile();
+      return;
+    }
+
+    let file;
+    try {
+      file = readHistoryFile(HISTORY_FILE);
+    } catch (err) {
+      if (err.code === 'HISTORY_LOCKED') {
+        lockStorage(err.message);
+        return;
       }
+      console.warn('[Clipboard Manager] ⚠️ Corrupt history file. Reinitializing...');
+      historyData = emptyData();
+      saveFile();
+      return;
+    }
+    loadData(file.parsed);
+    // Older files stored bare strings; write them back in the entry format.
+    // Also (re-)write when the file's encryption doesn't match the current key.
+    if (file.parsed.version !== DATA_VERSION || file.encrypted !== !!ENCRYPTION_KEY) saveFile();
+  } catch (err) {
+    console.error('[Clipboard Manager] ❌ Failed to load history file:', err.message);
+  }
+}
 
+function emptyData() {
+  return { version: DATA_VERSION, slots: {}, history: [], pinned: [], all: [], journal: { undo: [], redo: [] }, folders: [], trash: [] };
+}
+
+function configure(options = {}) {
+  const count = (value, fallback) => (typeof value === 'number' && value >= 0 ? Math.floor(value) : fallback);
+  limits = {
+    maxEntries: count(options.maxEntries, limits.maxEntries),
+    maxTotalBytes: count(options.maxTotalBytes, limits.maxTotalBytes),
+    maxAgeDays: count(options.maxAgeDays, limits.maxAgeDays),
+    maxEntrySize: count(options.maxEntrySize, limits.maxEntrySize),
+    oversizedEntries: options.oversizedEntries === 'truncate' ? 'truncate' : 'skip',
+    trashDays: count(options.trashDays, limits.trashDays)
+  };
+  if (options.sensitive) {
+    const action = options.sensitive.action;
+    sensitivePolicy = {
+      action: ['mask', 'skip', 'expire', 'off'].includes(action) ? action : sensitivePolicy.action,
+      expireMinutes: count(options.sensitive.expireMinutes, sensitivePolicy.expireMinutes)
+    };
+  }
+}
 
+// --------------------------------------------------------------------------
+// 🧱 Entry Model
+// --------------------------------------------------------------------------
+// Every stored item (history, pinned and slots) is an entry object:
+// { id, text, createdAt, lastUsedAt, source, useCount }
+// `source` is { uri, languageId, range } when the text came from an editor, else null.
+// Entries may also carry the OPTIONAL_FIELDS below when they apply.
+const OPTIONAL_FIELDS = [
+  'sensitive', // { kinds: [...] } when the sensitive detector matched
+  'expiresAt', // ms timestamp after which the entry is pruned
+  'parts',      // [text, ...] one per selection of a multi-cursor copy
+  'template',   // true when the text is VS Code snippet syntax, pasted with tab stops
+  'tags',       // ['tag', ...] lowercase labels set by the user
+  'folder',     // 'Folder/Sub' path of a pinned item's folder
+  'origin'      // what captured it: 'copy' | 'cut' | 'terminal' | 'external'
+];
 
-      if (!fs.existsSync(HISTORY_FILE)) {
-        saveFile(); // Create a fresh file
-      }
+function newId() {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function normalizeText(text) {
+  return String(text).replace(/\r\n/g, '\n');
+}
+
+function toTime(value) {
+  if (typeof value === 'number' && isFinite(value)) return value;
+  if (typeof value === 'string' && value) {
+    const parsed = Date.parse(value);
+    if (!isNaN(parsed)) return parsed;
+  }
+  return null;
+}
+
+function normalizeSource(source) {
+  if (!source || typeof source !== 'object') return null;
+  return {
+    uri: source.uri ? String(source.uri) : null,
+    languageId: source.languageId ? String(source.languageId) : null,
+    range: source.range || null
+  };
+}
+
+// Parts only make sense while they still add up to the stored text, so they are
+// dropped when masking or truncation changed it
+function checkParts(text, meta) {
+  if (!Array.isArray(meta.parts)) return meta;
+  const parts = meta.parts.map(normalizeText);
+  return { ...meta, parts: parts.length > 1 && parts.join('\n') === text ? parts : undefined };
+}
+
+function createEntry(text, meta = {}) {
+  const now = Date.now();
+  const createdAt = toTime(meta.createdAt) || now;
+  return {
+    id: newId(),
+    text: normalizeText(text),
+    createdAt,
+    lastUsedAt: toTime(meta.lastUsedAt) || createdAt,
+    source: normalizeSource(meta.source),
+    useCount: 1,
+    ...pickOptionalFields(meta)
+  };
+}
+
+function pickOptionalFields(meta) {
+  const fields = {};
+  for (const field of OPTIONAL_FIELDS) {
+    if (meta[field] !== undefined && meta[field] !== null) fields[field] = meta[field];
+  }
+  return fields;
+}
+
+// Convert a stored value (legacy string or entry object) into a full entry
+function toEntry(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'object') return createEntry(value);
+  const text = value.text !== undefined ? value.text : value.content;
+  if (text === undefined || text === null) return null;
+  const entry = createEntry(text, {
+    createdAt: value.createdAt !== undefined ? value.createdAt : value.timestamp,
+    lastUsedAt: value.lastUsedAt,
+    source: value.source
+  });
+  if (value.id) entry.id = String(value.id);
+  if (typeof value.useCount === 'number' && value.useCount > 0) entry.useCount = value.useCount;
+  for (const field of OPTIONAL_FIELDS) {
+    if (value[field] !== undefined && value[field] !== null) entry[field] = value[field];
+  }
+  return entry;
+}
+
+// Record another copy/paste of an existing entry
+function touchEntry(entry, meta = {}) {
+  entry.lastUsedAt = Date.now();
+  entry.useCount = (entry.useCount || 0) + 1;
+  const source = normalizeSource(meta.source);
+  if (source) entry.source = source;
+  Object.assign(entry, pickOptionalFields(meta));
+  return entry;
+}
+
+// Load parsed JSON into historyData, migrating legacy string arrays.
+// The CLI only exports plain strings, so ids and metadata of entries that
+// were already in memory are carried over: first by unchanged CLI index and
+// text, then by text alone. A CLI export only has slots 0-9, so named slots
+// are kept from memory when `fromCli` is set.
+function loadData(parsed, fromCli = false) {
+  const previous = historyData;
+  const used = new Set();
+  const pool = new Map();
+  for (const e of [...(previous.pinned || []), ...(previous.history || [])]) {
+    if (!e || typeof e !== 'object') continue;
+    if (!pool.has(e.text)) pool.set(e.text, []);
+    pool.get(e.text).push(e);
+  }
+  const byIndex = new Map();
+  for (const a of previous.all || []) {
+    const prev = a && a.id ? findEntryIn(previous, a.id) : null;
+    if (prev) byIndex.set(a.index, prev);
+  }
+
+  const adopt = (value, index, timestamp) => {
+    if (value && typeof value === 'object') return toEntry(value);
+    if (value === null || value === undefined) return null;
+    const text = normalizeText(value);
+    let entry = byIndex.get(index);
+    if (!entry || entry.text !== text || used.has(entry.id)) {
+      entry = (pool.get(text) || []).find(e => !used.has(e.id));
+    }
+    if (!entry) entry = createEntry(text, { createdAt: timestamp });
+    used.add(entry.id);
+    return entry;
+  };
+
+  const slots = {};
+  for (const k of Object.keys(parsed.slots || {})) {
+    const value = parsed.slots[k];
+    const prev = previous.slots && previous.slots[k];
+    if (typeof value !== 'object' && prev && typeof prev === 'object' && prev.text === normalizeText(value)) {
+      slots[k] = prev;
     } else {
-      const data = fs.readFileSync(HISTORY_FILE, 'utf8');
-      try {
-        historyData = JSON.parse(data);
-      } catch {
-        console.warn('[Clipboard Manager] ⚠️ Corrupt history file. Reinitializing...');
-        historyData = { slots: {}, history: [], pinned: [], all: [], lastDeleted: null };
-        saveFile();
-      }
+      const entry = toEntry(value);
+      if (entry) slots[k] = entry;
     }
-  } catch (err) {
-    console.error('[Clipboard Manager] ❌ Failed to load history file:', err.message);
   }
+  if (fromCli) {
+    for (const k of Object.keys(previous.slots || {})) {
+      if (!isCliSlot(k) && !slots[k]) slots[k] = previous.slots[k];
+    }
+  }
+
+  historyData = {
+    version: DATA_VERSION,
+    slots,
+    pinned: [],
+    history: [],
+    all: [],
+    // CLI exports carry no journal, so keep the one already in memory
+    journal: parsed.journal ? normalizeJournal(parsed.journal) : (previous.journal || { undo: [], redo: [] }),
+    // ...and the same goes for the user's folders
+    folders: Array.isArray(parsed.folders)
+      ? parsed.folders.map(normalizeFolderPath).filter(Boolean)
+      : (previous.folders || []),
+    // ...and the trash
+    trash: Array.isArray(parsed.trash) ? normalizeTrash(parsed.trash) : (previous.trash || [])
+  };
+  // Older files kept a single `lastDeleted` string; turn it into an undoable delete
+  if (parsed.lastDeleted && !parsed.journal) {
+    const entry = toEntry(parsed.lastDeleted);
+    if (entry) {
+      historyData.journal.undo.push({
+        type: 'delete',
+        label: `Delete "${preview(entry.text)}"`,
+        at: Date.now(),
+        removed: [{ list: 'history', key: 0, entry }],
+        added: []
+      });
+    }
+  }
+
+  // A CLI export lists every item once in `all`, in the CLI's own index order
+  const cliItems = (parsed.all || []).filter(a => a && typeof a.pinned === 'boolean' && !a.id);
+  if (cliItems.length) {
+    for (const a of cliItems) {
+      const entry = adopt(a.content, a.index, a.timestamp);
+      if (!entry) continue;
+      (a.pinned ? historyData.pinned : historyData.history).push(entry);
+      historyData.all.push({ index: a.index, id: entry.id, content: entry.text, pinned: a.pinned });
+    }
+    return;
+  }
+
+  historyData.pinned = (parsed.pinned || []).map(v => adopt(v)).filter(Boolean);
+  historyData.history = (parsed.history || []).map(v => adopt(v)).filter(Boolean);
+  const savedAll = (parsed.all || []).filter(a => a && a.id && findEntryIn(historyData, a.id));
+  if (CLI_PATH && savedAll.length) {
+    // Keep the CLI's index mapping saved alongside the entries
+    historyData.all = savedAll.map(a => ({ index: a.index, id: String(a.id), content: normalizeText(a.content || ''), pinned: !!a.pinned }));
+  } else {
+    rebuildAll();
+  }
+}
+
+function findEntryIn(data, id) {
+  return (data.pinned || []).find(e => e && e.id === id)
+    || (data.history || []).find(e => e && e.id === id)
+    || null;
+}
+
+function findEntryById(id) {
+  if (!id) return null;
+  return findEntryIn(historyData, id)
+    || Object.values(historyData.slots).find(e => e.id === id)
+    || null;
+}
+
+function findEntryByText(text) {
+  return historyData.pinned.find(e => e.text === text)
+    || historyData.history.find(e => e.text === text)
+    || Object.values(historyData.slots).find(e => e.text === text)
+    || null;
+}
+
+// Map a stable entry id to the CLI's current positional index
+function cliIndexOf(id) {
+  const item = (historyData.all || []).find(a => a && a.id === id);
+  return item && typeof item.index === 'number' ? item.index : null;
 }
 
 // --------------------------------------------------------------------------
 // 💾 File Operations
 // --------------------------------------------------------------------------
 function saveFile() {
+  if (storageLock) {
+    console.warn('[Clipboard Manager] ⚠️ History is locked; not saving:', storageLock);
+    return false;
+  }
   try {
-    fs.writeFileSync(HISTORY_FILE, JSON.stringify(historyData, null, 2), 'utf8');
+    const json = JSON.stringify(historyData, null, 2);
+    const out = ENCRYPTION_KEY ? JSON.stringify(encrypt(json), null, 2) : json;
+    fs.writeFileSync(HISTORY_FILE, out, 'utf8');
+    return true;
   } catch (err) {
     console.error('[Clipboard Manager] ❌ Failed to save history file:', err.message);
+    return false;
+  }
+}
+
+// Read and parse a history file, decrypting it if needed. Throws an error
+// with code 'HISTORY_LOCKED' when the file is encrypted and can't be opened.
+function readHistoryFile(filePath) {
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!isEncrypted(parsed)) return { parsed, encrypted: false };
+  if (!ENCRYPTION_KEY) {
+    throw lockedError('The history file is encrypted but no key was found in secret storage.');
+  }
+  try {
+    return { parsed: JSON.parse(decrypt(parsed)), encrypted: true };
+  } catch (e) {
+    throw lockedError('The history file could not be decrypted with the stored key.');
+  }
+}
+
+// --------------------------------------------------------------------------
+// 🔐 Encryption at Rest
+// --------------------------------------------------------------------------
+const CIPHER = 'aes-256-gcm';
+
+function isEncrypted(parsed) {
+  return !!parsed && parsed.encrypted === true && typeof parsed.data === 'string';
+}
+
+function encrypt(plainText) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, ENCRYPTION_KEY, iv);
+  const data = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+  return {
+    encrypted: true,
+    algorithm: CIPHER,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+function decrypt(envelope) {
+  const decipher = crypto.createDecipheriv(CIPHER, ENCRYPTION_KEY, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+function toKey(key) {
+  if (!key) return null;
+  const buf = Buffer.isBuffer(key) ? key : Buffer.from(String(key), 'base64');
+  if (buf.length !== 32) throw new Error('Encryption key must be 32 bytes');
+  return buf;
+}
+
+function lockedError(message) {
+  const err = new Error(message);
+  err.code = 'HISTORY_LOCKED';
+  return err;
+}
+
+function lockStorage(reason) {
+  storageLock = reason;
+  historyData = emptyData();
+  console.error('[Clipboard Manager] 🔒 History locked:', reason);
+}
+
+// Set the key used to read and write the history file (base64 string, Buffer or null).
+// Call before init(); use reencrypt() to change the key of an open history.
+function setEncryptionKey(key) {
+  ENCRYPTION_KEY = toKey(key);
+}
+
+// Rewrite the history file with a new key, or as plain JSON when `key` is null
+function reencrypt(key) {
+  if (storageLock) return false;
+  const previous = ENCRYPTION_KEY;
+  ENCRYPTION_KEY = toKey(key);
+  if (saveFile()) return true;
+  ENCRYPTION_KEY = previous;
+  return false;
+}
+
+// Move a history file that can't be decrypted aside and start with an empty one
+function resetLockedStorage() {
+  if (!storageLock) return null;
+  const aside = `${HISTORY_FILE}.locked-${Date.now()}`;
+  try {
+    fs.renameSync(HISTORY_FILE, aside);
+  } catch (err) {
+    console.error('[Clipboard Manager] ❌ Failed to move locked history file:', err.message);
+    return null;
   }
+  storageLock = null;
+  historyData = emptyData();
+  saveFile();
+  return aside;
+}
+
+function getStorageStatus() {
+  return { encrypted: !!ENCRYPTION_KEY, locked: !!storageLock, reason: storageLock };
 }
 
 // Rebuild the flattened `all` array from pinned + history for JS-only mode
@@ -75,11 +466,11 @@ function rebuildAll() {
   let idx = 0;
   // pinned first (preserve order)
   for (const p of historyData.pinned || []) {
-    all.push({ index: idx++, content: p });
+    all.push({ index: idx++, id: p.id, content: p.text, pinned: true });
   }
   // then history
   for (const h of historyData.history || []) {
-    all.push({ index: idx++, content: h });
+    all.push({ index: idx++, id: h.id, content: h.text, pinned: false });
   }
   historyData.all = all;
 }
@@ -115,24 +506,18 @@ function hasCli() {
   return !!CLI_PATH;
 }
 
-function reload() {
-  try {
-    if (!fs.existsSync(HISTORY_FILE)) return false;
-    const data = fs.readFileSync(HISTORY_FILE, 'utf8');
-    historyData = JSON.parse(data);
-    return true;
-  } catch (err) {
-    console.error('[Clipboard Manager] ❌ Failed to reload history file:', err.message);
-    return false;
-  }
-}
-
 // --------------------------------------------------------------------------
 // 🧩 Core Clipboard Operations
 // --------------------------------------------------------------------------
-async function saveToSlot(slot, text) {
+async function setSlotEntry(slot, text, meta = {}) {
   if (!text) return false;
-  if (CLI_PATH) {
+  // Slots are screened for secrets like history copies
+  const screened = screenSensitive(normalizeText(text));
+  if (!screened) return false;
+  text = screened.text;
+  meta = checkParts(text, { ...meta, ...screened.fields });
+  if (isCliSlot(slot)) {
+    if (meta.expiresAt) console.warn(`[Clipboard Manager] ⚠️ The CLI cannot empty slot ${slot}, so the sensitive entry saved there will not expire.`);
     // write text to a temp file and call CLI to avoid shell quoting/length issues
     const os = require('os');
     const tmpDir = os.tmpdir();
@@ -141,6 +526,9 @@ async function saveToSlot(slot, text) {
       fs.writeFileSync(tmpPath, text, 'utf8');
       await runCli(['setslot-from-file', String(slot), tmpPath]);
       await reload();
+      applyMeta(historyData.slots[slot], text, meta);
+      applyMeta(historyData.history[0], text, meta);
+      saveFile();
       return true;
     } catch (e) {
       console.error('[Clipboard Manager] CLI setslot failed:', e.message);
@@ -150,20 +538,105 @@ async function saveToSlot(slot, text) {
     }
   }
 
-  historyData.slots[slot] = text;
-  addToHistory(text);
+  historyData.slots[slot] = createEntry(text, meta);
+  await addEntry(text, meta);
   saveFile();
   return true;
 }
 
 function getFromSlot(slot) {
-  return historyData.slots[slot] || null;
+  const entry = historyData.slots[slot];
+  return entry ? entry.text : null;
+}
+
+// Slot names are the numbers bound to Ctrl/Alt+0-9 or short names like
+// `header` or `license`. Returns the cleaned name, or null when invalid.
+function normalizeSlotName(name) {
+  const slot = String(name === undefined || name === null ? '' : name).trim();
+  return /^[\w.-]{1,40}$/.test(slot) ? slot : null;
+}
+
+// The CLI stores slots 0-9 itself; every other slot lives only in the JSON file
+function isCliSlot(slot) {
+  return !!CLI_PATH && /^[0-9]$/.test(String(slot));
+}
+
+// Put an entry into a slot (or empty it with null), keeping the entry's identity
+async function writeSlot(slot, entry) {
+  if (!isCliSlot(slot)) {
+    if (entry) historyData.slots[slot] = entry;
+    else delete historyData.slots[slot];
+    return;
+  }
+  if (!entry) throw new Error(`The CLI cannot clear slot ${slot}`);
+  // setslot-from-file also adds a history item; drop it again
+  await runCliWithText('slot', entry.text, (file) => ['setslot-from-file', String(slot), file]);
+  await runCli(['delete', '0']);
+  reload();
+  historyData.slots[slot] = entry;
+}
+
+async function clearSlotEntry(slot) {
+  if (!historyData.slots[slot]) return false;
+  if (isCliSlot(slot)) {
+    console.warn(`[Clipboard Manager] ⚠️ The CLI cannot clear slot ${slot}.`);
+    return false;
+  }
+  await writeSlot(slot, null);
+  saveFile();
+  return true;
+}
+
+async function renameSlotEntry(from, to) {
+  const entry = historyData.slots[from];
+  if (!entry || from === to) return false;
+  if (historyData.slots[to]) {
+    console.warn(`[Clipboard Manager] ⚠️ Slot ${to} is already in use.`);
+    return false;
+  }
+  if (isCliSlot(from)) {
+    console.warn(`[Clipboard Manager] ⚠️ The CLI cannot clear slot ${from}; copy it instead.`);
+    return false;
+  }
+  await writeSlot(to, entry);
+  await writeSlot(from, null);
+  saveFile();
+  return true;
+}
+
+// Swap the contents of two slots; with one of them empty this moves the other
+async function swapSlotEntries(a, b) {
+  const entryA = historyData.slots[a];
+  const entryB = historyData.slots[b];
+  if (a === b || (!entryA && !entryB)) return false;
+  if ((!entryA && isCliSlot(b)) || (!entryB && isCliSlot(a))) {
+    console.warn(`[Clipboard Manager] ⚠️ The CLI cannot clear slot ${entryA ? a : b}.`);
+    return false;
+  }
+  await writeSlot(a, entryB || null);
+  await writeSlot(b, entryA || null);
+  saveFile();
+  return true;
 }
 
-async function addToHistory(text) {
+// Attach editor metadata to an entry the CLI just created (CLI exports carry none)
+function applyMeta(entry, text, meta) {
+  if (!entry || entry.text !== normalizeText(text)) return;
+  const source = normalizeSource(meta && meta.source);
+  if (source) entry.source = source;
+  Object.assign(entry, pickOptionalFields(meta || {}));
+}
+
+async function addEntry(text, meta = {}) {
   if (!text || text.trim() === '') return false;
   // Normalize newlines to \n so saved entries use a consistent linebreak format
   try { text = String(text).replace(/\r\n/g, '\n'); } catch (e) {}
+  text = applySizeLimit(text);
+  if (text === null) return false;
+  const screened = screenSensitive(text);
+  if (!screened) return false;
+  text = screened.text;
+  meta = checkParts(text, { ...meta, ...screened.fields });
   // Deduplicate rapid duplicate adds (e.g., copy handler + poller race)
   try {
     const now = Date.now();
@@ -177,10 +650,16 @@ async function addToHistory(text) {
     const os = require('os');
     const tmpDir = os.tmpdir();
     const tmpPath = path.join(tmpDir, `cm_add_${Date.now()}_${Math.random().toString(36).slice(2)}.txt`);
+    const knownIds = new Set(historyData.history.map(e => e.id));
     try {
       fs.writeFileSync(tmpPath, text, 'utf8');
       await runCli(['add-from-file', tmpPath]);
       await reload();
+      const added = historyData.history[0];
+      if (added && added.text === text && knownIds.has(added.id)) touchEntry(added, meta);
+      else applyMeta(added, text, meta);
+      await deleteCliEntries(expiredEntries());
+      saveFile();
       return true;
     } catch (e) {
       console.error('[Clipboard Manager] CLI add failed:', e.message);
@@ -190,15 +669,16 @@ async function addToHistory(text) {
     }
   }
 
-  // 🧹 Remove duplicates in both history and pinned
-  historyData.history = historyData.history.filter(item => item !== text);
-  historyData.pinned = historyData.pinned.filter(item => item !== text);
+  // 🧹 Remove duplicates in both history and pinned, keeping the existing entry's metadata
+  const existing = historyData.history.find(e => e.text === text) || historyData.pinned.find(e => e.text === text);
+  historyData.history = historyData.history.filter(item => item.text !== text);
+  historyData.pinned = historyData.pinned.filter(item => item.text !== text);
 
   // Add to top of history
-  historyData.history.unshift(text);
+  historyData.history.unshift(existing ? touchEntry(existing, meta) : createEntry(text, meta));
 
-  // Limit to 100 entries
-  if (historyData.history.length > 100) historyData.history.pop();
+  // Apply the configured count/size/age limits
+  dropHistory(expiredEntries());
 
   // record last added and persist
   _lastAddedText = text;
@@ -213,23 +693,16 @@ async function addToHistory(text) {
 // --------------------------------------------------------------------------
 // 📌 Pinning and Deleting
 // --------------------------------------------------------------------------
-async function pinItem(text) {
-  if (!text) return false;
+async function pinEntry(id) {
+  if (!id) return false;
   if (CLI_PATH) {
     try {
       await reload();
-      const all = historyData.all || [];
-      // Try exact match first
-      let item = all.find(it => it && it.content === text);
-      // If not found, try trimmed match (handle whitespace differences)
-      if (!item) {
-        item = all.find(it => it && it.content.trim() === text.trim());
-      }
-      if (!item) {
-        console.error('[Clipboard Manager] Item not found for pin:', text);
+      const idx = cliIndexOf(id);
+      if (idx === null) {
+        console.error('[Clipboard Manager] Item not found for pin:', id);
         return false;
       }
-      const idx = item.index;  // Use the index from C++ backend
       await runCli(['pin', String(idx)]);
       await reload();
       return true;
@@ -239,33 +712,28 @@ async function pinItem(text) {
     }
   }
 
-  if (historyData.pinned.includes(text)) return false;
-  historyData.pinned.push(text);
-  historyData.history = historyData.history.filter(item => item !== text);
+  if (historyData.pinned.some(item => item.id === id)) return false;
+  const entry = historyData.history.find(item => item.id === id);
+  if (!entry) return false;
+  historyData.pinned.push(entry);
+  historyData.history = historyData.history.filter(item => item.id !== id);
   rebuildAll();
   saveFile();
 
-  console.log(`[Clipboard Manager] 📌 Pinned "${text}"`);
+  console.log(`[Clipboard Manager] 📌 Pinned "${entry.text}"`);
   return true;
 }
 
-async function unpinItem(text) {
-  if (!text) return false;
+async function unpinEntry(id) {
+  if (!id) return false;
   if (CLI_PATH) {
     try {
       await reload();
-      const all = historyData.all || [];
-      // Try exact match first
-      let item = all.find(it => it && it.content === text);
-      // If not found, try trimmed match
-      if (!item) {
-        item = all.find(it => it && it.content.trim() === text.trim());
-      }
-      if (!item) {
-        console.error('[Clipboard Manager] Item not found for unpin:', text);
+      const idx = cliIndexOf(id);
+      if (idx === null) {
+        console.error('[Clipboard Manager] Item not found for unpin:', id);
         return false;
       }
-      const idx = item.index;  // Use the index from C++ backend
       await runCli(['unpin', String(idx)]);
       await reload();
       return true;
@@ -275,108 +743,272 @@ async function unpinItem(text) {
     }
   }
 
-  if (!historyData.pinned.includes(text)) return false;
+  const entry = historyData.pinned.find(item => item.id === id);
+  if (!entry) return false;
 
-  historyData.pinned = historyData.pinned.filter(item => item !== text);
+  // Unpinned entries go back to the top of history, like in CLI mode
+  historyData.pinned = historyData.pinned.filter(item => item.id !== id);
+  historyData.history.unshift(entry);
   rebuildAll();
   saveFile();
 
-  console.log(`[Clipboard Manager] 📤 Unpinned "${text}"`);
+  console.log(`[Clipboard Manager] 📤 Unpinned "${entry.text}"`);
   return true;
 }
 
-async function deleteItem(text) {
-  if (!text) return false;
+// Replace an entry's text with a snippet body and mark it as a template.
+// Templates live in pinned; a history entry is pinned in the process.
+async function templateEntry(id, text) {
+  const entry = findEntryIn(historyData, id);
+  if (!entry || !text || !text.trim()) return false;
+  const updated = { ...cloneEntry(entry), text: normalizeText(text), template: true, lastUsedAt: Date.now() };
+  delete updated.parts;
+
   if (CLI_PATH) {
     try {
-      await reload();
-      const all = historyData.all || [];
-      // Try exact match first
-      let item = all.find(it => it && it.content === text);
-      // If not found, try trimmed match
-      if (!item) {
-        item = all.find(it => it && it.content.trim() === text.trim());
-      }
-      if (!item) {
-        console.error('[Clipboard Manager] Item not found for delete:', text);
+      reload();
+      const idx = cliIndexOf(id);
+      if (idx === null) {
+        console.error('[Clipboard Manager] Item not found for template:', id);
         return false;
       }
-      const idx = item.index;  // Use the index from C++ backend
-      historyData.lastDeleted = text;
+      // The CLI can't edit in place: replace the item and pin the new one
       await runCli(['delete', String(idx)]);
-      await reload();
-      console.log(`[Clipboard Manager] 🗑️ Deleted "${text}" successfully.`);
+      await runCliWithText('template', updated.text, (file) => ['add-from-file', file]);
+      await runCli(['pin', '0']);
+      reload();
+      adoptCliItem(0, updated);
+      saveFile();
       return true;
     } catch (e) {
-      console.error('[Clipboard Manager] CLI delete failed:', e.message);
+      console.error('[Clipboard Manager] CLI template update failed:', e.message);
       return false;
     }
   }
 
-  const beforeHistory = historyData.history.length;
-  const beforePinned = historyData.pinned.length;
-
-  historyData.history = historyData.history.filter(item => item !== text);
-  historyData.pinned = historyData.pinned.filter(item => item !== text);
-  historyData.lastDeleted = text;
-
+  const pinnedAt = historyData.pinned.findIndex(item => item.id === id);
+  if (pinnedAt !== -1) {
+    historyData.pinned[pinnedAt] = updated;
+  } else {
+    historyData.history = historyData.history.filter(item => item.id !== id);
+    historyData.pinned.push(updated);
+  }
   rebuildAll();
   saveFile();
 
-  const changed = beforeHistory !== historyData.history.length || beforePinned !== historyData.pinned.length;
+  console.log(`[Clipboard Manager] 🧩 Saved template "${preview(updated.text)}"`);
+  return true;
+}
+
+// Replace the text of a history, pinned or slot entry, keeping its identity
+// and metadata. The CLI can't edit in place, so there the item is replaced
+// (and lands on top of its list).
+async function editEntry(id, text) {
+  text = normalizeText(text || '');
+  const entry = findEntryById(id);
+  if (!entry || !text.trim()) return false;
+  if (entry.text === text) return true;
+  const updated = { ...cloneEntry(entry), text, lastUsedAt: Date.now() };
+  delete updated.parts;
 
-  if (changed) {
-    console.log(`[Clipboard Manager] 🗑️ Deleted "${text}" successfully.`);
+  const slot = Object.keys(historyData.slots).find(k => historyData.slots[k].id === id);
+  if (slot !== undefined) {
+    try {
+      await writeSlot(slot, updated);
+    } catch (e) {
+      console.error('[Clipboard Manager] Slot edit failed:', e.message);
+      return false;
+    }
+    saveFile();
     return true;
-  } else {
-    console.warn(`[Clipboard Manager] ⚠️ Item not found for deletion: "${text}".`);
-    return false;
   }
-}
 
-async function undoDelete() {
-  if (!historyData.lastDeleted) {
-    console.warn('[Clipboard Manager] ⚠️ No item to undo delete.');
-    return false;
+  const pinned = historyData.pinned.some(item => item.id === id);
+  if (CLI_PATH) {
+    try {
+      reload();
+      const idx = cliIndexOf(id);
+      if (idx === null) {
+        console.error('[Clipboard Manager] Item not found for edit:', id);
+        return false;
+      }
+      await runCli(['delete', String(idx)]);
+      await runCliWithText('edit', updated.text, (file) => ['add-from-file', file]);
+      if (pinned) await runCli(['pin', '0']);
+      reload();
+      adoptCliItem(0, updated);
+      saveFile();
+      return true;
+    } catch (e) {
+      console.error('[Clipboard Manager] CLI edit failed:', e.message);
+      return false;
+    }
   }
 
-  const text = historyData.lastDeleted;
-  historyData.lastDeleted = null;
+  const list = pinned ? 'pinned' : 'history';
+  historyData[list] = historyData[list].map(item => (item.id === id ? updated : item));
+  rebuildAll();
+  saveFile();
+
+  console.log(`[Clipboard Manager] ✏️ Edited "${preview(updated.text)}"`);
+  return true;
+}
 
+async function deleteEntry(id) {
+  if (!id) return false;
   if (CLI_PATH) {
     try {
-      // write text to a temp file and call CLI to avoid shell quoting/length issues
-      const os = require('os');
-      const tmpDir = os.tmpdir();
-      const tmpPath = path.join(tmpDir, `cm_undo_${Date.now()}_${Math.random().toString(36).slice(2)}.txt`);
-      try {
-        fs.writeFileSync(tmpPath, text, 'utf8');
-        await runCli(['add-from-file', tmpPath]);
-        await reload();
-        console.log(`[Clipboard Manager] ↩️ Restored "${text}" successfully.`);
-        return true;
-      } finally {
-        try { fs.unlinkSync(tmpPath); } catch (e) {}
+      await reload();
+      const idx = cliIndexOf(id);
+      if (idx === null) {
+        console.error('[Clipboard Manager] Item not found for delete:', id);
+        return false;
       }
+      const entry = findEntryById(id);
+      const from = historyData.pinned.some(e => e.id === id) ? 'pinned' : 'history';
+      await runCli(['delete', String(idx)]);
+      await reload();
+      trashEntries([{ list: from, entry }]);
+      saveFile();
+      console.log(`[Clipboard Manager] 🗑️ Deleted "${entry.text}" successfully.`);
+      return true;
     } catch (e) {
-      console.error('[Clipboard Manager] ❌ Failed to undo delete:', e.message);
+      console.error('[Clipboard Manager] CLI delete failed:', e.message);
       return false;
     }
   }
 
-  historyData.history.unshift(text);
+  const deleted = findEntryIn(historyData, id);
+  if (!deleted) {
+    console.warn(`[Clipboard Manager] ⚠️ Item not found for deletion: "${id}".`);
+    return false;
+  }
+
+  const from = historyData.pinned.some(item => item.id === id) ? 'pinned' : 'history';
+  historyData.history = historyData.history.filter(item => item.id !== id);
+  historyData.pinned = historyData.pinned.filter(item => item.id !== id);
+  trashEntries([{ list: from, entry: deleted }]);
+
+  rebuildAll();
   saveFile();
-  console.log(`[Clipboard Manager] ↩️ Restored "${text}" successfully.`);
+
+  console.log(`[Clipboard Manager] 🗑️ Deleted "${deleted.text}" successfully.`);
   return true;
 }
 
+// --------------------------------------------------------------------------
+// ⏳ Retention
+// --------------------------------------------------------------------------
+function byteSize(text) {
+  return Buffer.byteLength(text, 'utf8');
+}
+
+// Returns the text to store, truncated if configured, or null to skip it
+function applySizeLimit(text) {
+  const max = limits.maxEntrySize;
+  if (!max || byteSize(text) <= max) return text;
+  if (limits.oversizedEntries !== 'truncate') {
+    console.warn(`[Clipboard Manager] ⚠️ Skipped a ${byteSize(text)} byte copy (limit ${max} bytes).`);
+    return null;
+  }
+  // Cut on a byte boundary and drop a trailing partial character
+  return Buffer.from(text, 'utf8').subarray(0, max).toString('utf8').replace(/\uFFFD$/, '');
+}
+
+// Run the sensitive detector on text about to be stored. Returns the text to
+// store plus entry fields, or null when the copy must not be saved at all.
+function screenSensitive(text) {
+  if (sensitivePolicy.action === 'off') return { text, fields: {} };
+  const found = sensitiveDetector.detect(text);
+  if (!found) return { text, fields: {} };
+  const fields = { sensitive: { kinds: found.kinds } };
+  switch (sensitivePolicy.action) {
+    case 'skip':
+      console.warn(`[Clipboard Manager] 🔐 Skipped a copy that looks like a secret (${found.kinds.join(', ')}).`);
+      return null;
+    case 'expire':
+      fields.expiresAt = Date.now() + sensitivePolicy.expireMinutes * 60 * 1000;
+      return { text, fields };
+    default:
+      // Heuristic guesses (password-like, high entropy) are too often plain
+      // code to overwrite; they expire instead
+      if (!found.certain) {
+        fields.expiresAt = Date.now() + sensitivePolicy.expireMinutes * 60 * 1000;
+        return { text, fields };
+      }
+      return { text: sensitiveDetector.mask(text, found), fields };
+  }
+}
+
+// History entries (newest first) that fall outside the configured limits.
+// Pinned items are never expired; slots only by their own `expiresAt`.
+function expiredEntries() {
+  const expired = [];
+  const cutoff = limits.maxAgeDays ? Date.now() - limits.maxAgeDays * 24 * 60 * 60 * 1000 : 0;
+  let kept = 0;
+  let totalBytes = 0;
+  let full = false;
+  for (const entry of historyData.history) {
+    const size = byteSize(entry.text);
+    const tooOld = (cutoff && (entry.lastUsedAt || entry.createdAt || 0) < cutoff)
+      || (entry.expiresAt && entry.expiresAt <= Date.now());
+    full = full
+      || (limits.maxEntries && kept >= limits.maxEntries)
+      || (limits.maxTotalBytes && totalBytes + size > limits.maxTotalBytes);
+    if (tooOld || full) {
+      expired.push(entry);
+      continue;
+    }
+    kept++;
+    totalBytes += size;
+  }
+  return expired;
+}
+
+function dropHistory(entries) {
+  if (!entries.length) return;
+  const ids = new Set(entries.map(e => e.id));
+  historyData.history = historyData.history.filter(e => !ids.has(e.id));
+}
+
+async function deleteCliEntries(entries) {
+  if (!entries.length) return;
+  reload();
+  const indices = entries.map(e => cliIndexOf(e.id)).filter(idx => idx !== null).sort((a, b) => b - a);
+  for (const idx of indices) await runCli(['delete', String(idx)]);
+  reload();
+}
+
+// Slots holding an expired sensitive entry (the CLI's own slots can't be emptied)
+function expiredSlots() {
+  return Object.keys(historyData.slots).filter(slot => !isCliSlot(slot)
+    && historyData.slots[slot].expiresAt && historyData.slots[slot].expiresAt <= Date.now());
+}
+
+async function pruneEntries() {
+  const expired = expiredEntries();
+  const slots = expiredSlots();
+  if (!expired.length && !slots.length) return false;
+  if (CLI_PATH) {
+    await deleteCliEntries(expired);
+  } else {
+    dropHistory(expired);
+    rebuildAll();
+  }
+  for (const slot of slots) await writeSlot(slot, null);
+  saveFile();
+  console.log(`[Clipboard Manager] ⏳ Pruned ${expired.length} history entries and ${slots.length} slots.`);
+  return expired.length + slots.length;
+}
+
 // --------------------------------------------------------------------------
 // 🧹 Clear all history
 // --------------------------------------------------------------------------
-async function clearHistory() {
+async function clearEntries() {
   try {
     if (CLI_PATH) {
       await reload();
+      const cleared = currentPlacements();
       const all = historyData.all || [];
       const indices = all.map(i => i && i.index).filter(i => typeof i === 'number').sort((a, b) => b - a);
       for (const idx of indices) {
@@ -387,18 +1019,19 @@ async function clearHistory() {
         }
       }
       await reload();
-      historyData.lastDeleted = null;
+      // Entries the CLI failed to delete are still listed and stay out of the trash
+      trashEntries(cleared.filter(p => !findEntryIn(historyData, p.entry.id)));
       saveFile();
       console.log('[Clipboard Manager] 🧹 Cleared all history via CLI.');
       return true;
     }
 
+    trashEntries(currentPlacements());
     historyData.history = [];
     historyData.pinned = [];
     historyData.all = [];
-    historyData.lastDeleted = null;
-  rebuildAll();
-  saveFile();
+    rebuildAll();
+    saveFile();
     console.log('[Clipboard Manager] 🧹 Cleared all history (JS mode).');
     return true;
   } catch (err) {
@@ -407,46 +1040,912 @@ async function clearHistory() {
   }
 }
 
+function currentPlacements() {
+  return [
+    ...historyData.pinned.map((entry, key) => ({ list: 'pinned', key, entry })),
+    ...historyData.history.map((entry, key) => ({ list: 'history', key, entry }))
+  ];
+}
+
+// --------------------------------------------------------------------------
+// 🗑️ Trash
+// --------------------------------------------------------------------------
+// Deleted and cleared history/pinned entries are kept in `historyData.trash`
+// as { entry, from: 'history' | 'pinned', deletedAt }, newest first, for
+// `limits.trashDays` days and can be restored until then. With 0 days
+// deletions are permanent. Slots never go to the trash.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function normalizeTrash(trash) {
+  return trash
+    .filter(t => t && typeof t.deletedAt === 'number')
+    .map(t => ({ entry: toEntry(t.entry), from: t.from === 'pinned' ? 'pinned' : 'history', deletedAt: t.deletedAt }))
+    .filter(t => t.entry);
+}
+
+// Put removed placements in the trash; an older trashed copy of the same text is replaced
+function trashEntries(placements) {
+  if (!limits.trashDays) return;
+  const now = Date.now();
+  const items = placements
+    .filter(p => p.list !== 'slot')
+    .map(p => ({ entry: cloneEntry(p.entry), from: p.list, deletedAt: now }));
+  if (!items.length) return;
+  const texts = new Set(items.map(t => t.entry.text));
+  historyData.trash = [...items, ...historyData.trash.filter(t => !texts.has(t.entry.text))];
+}
+
+function untrashEntries(ids) {
+  const drop = new Set(ids);
+  historyData.trash = historyData.trash.filter(t => !drop.has(t.entry.id));
+}
+
+// Trashed entries past the retention period (all of them when it is 0) or their own expiry
+function expiredTrash() {
+  const cutoff = Date.now() - limits.trashDays * DAY_MS;
+  return historyData.trash.filter(t => !limits.trashDays || t.deletedAt < cutoff
+    || (t.entry.expiresAt && t.entry.expiresAt <= Date.now()));
+}
+
+// Drop expired trash; resolves to the number of entries removed
+function purgeTrash() {
+  const expired = expiredTrash();
+  if (!expired.length) return 0;
+  untrashEntries(expired.map(t => t.entry.id));
+  saveFile();
+  scrubJournal(expired.filter(t => t.entry.expiresAt).map(t => t.entry.id));
+  console.log(`[Clipboard Manager] 🗑️ Removed ${expired.length} entries from the trash.`);
+  return expired.length;
+}
+
+// Move trashed entries back to where they were deleted from: history entries
+// on top of history, pinned ones at the end of Pinned (in CLI mode, on top).
+// Texts that were copied again in the meantime are only taken out of the trash.
+async function restoreEntries(ids) {
+  const wanted = new Set(ids);
+  const items = historyData.trash.filter(t => wanted.has(t.entry.id));
+  if (!items.length) {
+    console.warn('[Clipboard Manager] ⚠️ Nothing to restore from the trash.');
+    return false;
+  }
+  // Oldest deletions first, so the most recently deleted entry ends up on top
+  for (const item of items.slice().reverse()) {
+    untrashEntries([item.entry.id]);
+    if (findEntryByText(item.entry.text)) continue;
+    if (CLI_PATH) {
+      await runCliWithText('restore', item.entry.text, (file) => ['add-from-file', file]);
+      if (item.from === 'pinned') await runCli(['pin', '0']);
+      reload();
+      adoptCliItem(0, item.entry);
+    } else if (item.from === 'pinned') {
+      historyData.pinned.push(cloneEntry(item.entry));
+    } else {
+      historyData.history.unshift(cloneEntry(item.entry));
+    }
+  }
+  if (!CLI_PATH) rebuildAll();
+  saveFile();
+  console.log(`[Clipboard Manager] ♻️ Restored ${items.length} entries from the trash.`);
+  return true;
+}
+
+// --------------------------------------------------------------------------
+// ↩️ Undo / Redo Journal
+// --------------------------------------------------------------------------
+// Each mutation is recorded as the placements it removed and added, where a
+// placement is { list: 'history' | 'pinned' | 'slot', key, entry } and `key`
+// is the list index (or slot name). Undo takes out `added` and puts `removed`
+// back at their old positions; redo does the reverse.
+const JOURNAL_LIMIT = 50;
+let _journalDepth = 0;
+
+function normalizeJournal(journal) {
+  const clean = (records) => (Array.isArray(records) ? records : [])
+    .filter(r => r && Array.isArray(r.removed) && Array.isArray(r.added))
+    .map(r => ({
+      ...r,
+      removed: r.removed.map(normalizePlacement).filter(Boolean),
+      added: r.added.map(normalizePlacement).filter(Boolean)
+    }));
+  return { undo: clean(journal.undo), redo: clean(journal.redo) };
+}
+
+function normalizePlacement(p) {
+  if (!p || !['history', 'pinned', 'slot'].includes(p.list)) return null;
+  const entry = toEntry(p.entry);
+  return entry ? { list: p.list, key: p.key, entry } : null;
+}
+
+// Journal labels are persisted, so never put a detected secret in them
+function preview(text, limit = 40) {
+  if (sensitivePolicy.action !== 'off' && sensitiveDetector.detect(String(text))) return '🔒 sensitive entry';
+  const line = String(text).split('\n')[0];
+  return line.length > limit ? line.slice(0, limit) + '…' : line;
+}
+
+function snapshot() {
+  const slots = {};
+  for (const k of Object.keys(historyData.slots)) slots[k] = cloneEntry(historyData.slots[k]);
+  return {
+    history: historyData.history.map(cloneEntry),
+    pinned: historyData.pinned.map(cloneEntry),
+    slots
+  };
+}
+
+function diffList(list, before, after, change) {
+  const sig = (e) => JSON.stringify(e);
+  const beforeSigs = new Set(before.map(sig));
+  const afterSigs = new Set(after.map(sig));
+  const keptBefore = before.filter(e => afterSigs.has(sig(e))).map(sig);
+  const keptAfter = after.filter(e => beforeSigs.has(sig(e))).map(sig);
+  // If untouched entries changed relative order, record the whole list
+  const sameOrder = keptBefore.length === keptAfter.length && keptBefore.every((s, i) => s === keptAfter[i]);
+  before.forEach((entry, key) => {
+    if (!sameOrder || !afterSigs.has(sig(entry))) change.removed.push({ list, key, entry });
+  });
+  after.forEach((entry, key) => {
+    if (!sameOrder || !beforeSigs.has(sig(entry))) change.added.push({ list, key, entry });
+  });
+}
+
+function diffSnapshots(before, after) {
+  const change = { removed: [], added: [] };
+  diffList('pinned', before.pinned, after.pinned, change);
+  diffList('history', before.history, after.history, change);
+  for (const key of new Set([...Object.keys(before.slots), ...Object.keys(after.slots)])) {
+    const b = before.slots[key];
+    const a = after.slots[key];
+    if (b && a && JSON.stringify(b) === JSON.stringify(a)) continue;
+    if (b) change.removed.push({ list: 'slot', key, entry: b });
+    if (a) change.added.push({ list: 'slot', key, entry: a });
+  }
+  return change;
+}
+
+// Run a mutation and record what it changed. Nested calls (e.g. a slot write
+// that also adds to history) are folded into the outermost record.
+async function journaled(type, label, fn) {
+  if (_journalDepth > 0) return fn();
+  if (storageLock) return false;
+  if (CLI_PATH) reload();
+  const before = snapshot();
+  _journalDepth++;
+  let result;
+  try {
+    result = await fn();
+  } finally {
+    _journalDepth--;
+  }
+  if (!result) return result;
+  const change = diffSnapshots(before, snapshot());
+  if (change.removed.length || change.added.length) {
+    const journal = historyData.journal;
+    journal.undo.push({ type, label, at: Date.now(), ...change });
+    if (journal.undo.length > JOURNAL_LIMIT) journal.undo.splice(0, journal.undo.length - JOURNAL_LIMIT);
+    journal.redo = [];
+    saveFile();
+  }
+  return result;
+}
+
+function applyPlacements(toRemove, toInsert) {
+  for (const p of toRemove) {
+    if (p.list === 'slot') delete historyData.slots[p.key];
+    else historyData[p.list] = historyData[p.list].filter(e => e.id !== p.entry.id);
+  }
+  for (const p of toInsert) {
+    if (p.list === 'slot') historyData.slots[p.key] = cloneEntry(p.entry);
+  }
+  // Insert in ascending index order so each lands at its recorded position
+  const ordered = toInsert.filter(p => p.list !== 'slot').sort((a, b) => a.key - b.key);
+  for (const p of ordered) {
+    historyData[p.list].splice(Math.min(p.key, historyData[p.list].length), 0, cloneEntry(p.entry));
+  }
+}
+
+// Give the item the CLI just created at `index` the identity of a journaled entry
+function adoptCliItem(index, entry) {
+  const item = (historyData.all || []).find(a => a && a.index === index);
+  const current = item ? findEntryIn(historyData, item.id) : null;
+  if (!current || current.text !== entry.text) return;
+  Object.assign(current, cloneEntry(entry));
+  item.id = entry.id;
+}
+
+async function runCliWithText(prefix, text, buildArgs) {
+  // write text to a temp file and call CLI to avoid shell quoting/length issues
+  const os = require('os');
+  const tmpPath = path.join(os.tmpdir(), `cm_${prefix}_${Date.now()}_${Math.random().toString(36).slice(2)}.txt`);
+  try {
+    fs.writeFileSync(tmpPath, text, 'utf8');
+    return await runCli(buildArgs(tmpPath));
+  } finally {
+    try { fs.unlinkSync(tmpPath); } catch (e) {}
+  }
+}
+
+// The CLI can only append, pin and delete by index, so restored entries land
+// on top of history (or pinned) rather than at their original position.
+async function applyPlacementsCli(toRemove, toInsert) {
+  reload();
+  // Entries whose text is unchanged (tags, folder, ...) are patched in memory;
+  // the CLI only knows the text
+  const patched = toInsert.filter(p => p.list !== 'slot' && toRemove.some(q =>
+    q.list === p.list && q.entry.id === p.entry.id && q.entry.text === p.entry.text));
+  for (const p of patched) {
+    const current = findEntryIn(historyData, p.entry.id);
+    if (current) Object.assign(current, cloneEntry(p.entry));
+  }
+  const isPatched = (p) => patched.some(q => q.entry.id === p.entry.id);
+  toRemove = toRemove.filter(p => p.list === 'slot' || !isPatched(p));
+  toInsert = toInsert.filter(p => p.list === 'slot' || !isPatched(p));
+
+  const indices = toRemove
+    .filter(p => p.list !== 'slot')
+    .map(p => cliIndexOf(p.entry.id))
+    .filter(idx => idx !== null)
+    .sort((a, b) => b - a);
+  for (const idx of indices) await runCli(['delete', String(idx)]);
+
+  for (const p of toRemove.filter(p => p.list === 'slot')) {
+    if (toInsert.some(q => q.list === 'slot' && q.key === p.key)) continue;
+    if (isCliSlot(p.key)) console.warn(`[Clipboard Manager] ⚠️ The CLI cannot clear slot ${p.key}; leaving it as is.`);
+    else await writeSlot(p.key, null);
+  }
+  for (const p of toInsert.filter(p => p.list === 'slot')) {
+    await writeSlot(p.key, cloneEntry(p.entry));
+  }
+
+  const inserts = toInsert.filter(p => p.list !== 'slot').sort((a, b) => b.key - a.key);
+  for (const p of inserts) {
+    await runCliWithText('undo', p.entry.text, (file) => ['add-from-file', file]);
+    if (p.list === 'pinned') await runCli(['pin', '0']);
+    reload();
+    adoptCliItem(0, p.entry);
+  }
+  reload();
+}
+
+async function stepJournal(from, to, reverse) {
+  const journal = historyData.journal;
+  const record = journal[from].pop();
+  if (!record) return null;
+  const [toRemove, toInsert] = reverse ? [record.added, record.removed] : [record.removed, record.added];
+  try {
+    if (CLI_PATH) {
+      await applyPlacementsCli(toRemove, toInsert);
+    } else {
+      applyPlacements(toRemove, toInsert);
+      rebuildAll();
+    }
+  } catch (e) {
+    journal[from].push(record);
+    throw e;
+  }
+  // Deletes, clears and restores move entries through the trash, so stepping
+  // over them moves the entries back and forth too
+  untrashEntries(toInsert.map(p => p.entry.id));
+  if (reverse ? record.type === 'restore' : ['delete', 'clear'].includes(record.type)) {
+    trashEntries(toRemove.filter(p => !findEntryIn(historyData, p.entry.id)));
+  }
+  journal[to].push(record);
+  saveFile();
+  return { type: record.type, label: record.label };
+}
+
+// Undo the most recent recorded mutation; resolves to { type, label } or null
+async function undo() {
+  try {
+    const step = await stepJournal('undo', 'redo', true);
+    if (!step) console.warn('[Clipboard Manager] ⚠️ Nothing to undo.');
+    else console.log(`[Clipboard Manager] ↩️ Undid ${step.label}.`);
+    return step;
+  } catch (e) {
+    console.error('[Clipboard Manager] ❌ Failed to undo:', e.message);
+    return null;
+  }
+}
+
+async function redo() {
+  try {
+    const step = await stepJournal('redo', 'undo', false);
+    if (!step) console.warn('[Clipboard Manager] ⚠️ Nothing to redo.');
+    else console.log(`[Clipboard Manager] ↪️ Redid ${step.label}.`);
+    return step;
+  } catch (e) {
+    console.error('[Clipboard Manager] ❌ Failed to redo:', e.message);
+    return null;
+  }
+}
+
+// Remove every trace of the given entry ids from the journal
+function scrubJournal(ids) {
+  if (!ids.length) return;
+  const drop = new Set(ids);
+  const clean = (records) => records
+    .map(r => ({
+      ...r,
+      removed: r.removed.filter(p => !drop.has(p.entry.id)),
+      added: r.added.filter(p => !drop.has(p.entry.id))
+    }))
+    .filter(r => r.removed.length || r.added.length);
+  historyData.journal = { undo: clean(historyData.journal.undo), redo: clean(historyData.journal.redo) };
+  saveFile();
+}
+
+function getJournal() {
+  const labels = (records) => records.map(r => ({ type: r.type, label: r.label, at: r.at })).reverse();
+  return { undo: labels(historyData.journal.undo), redo: labels(historyData.journal.redo) };
+}
+
+// Public mutations: every call is recorded in the journal
+function saveToSlot(slot, text, meta = {}) {
+  slot = normalizeSlotName(slot);
+  if (slot === null) return Promise.resolve(false);
+  return journaled('setSlot', `Set slot ${slot} to "${preview(text || '')}"`, () => setSlotEntry(slot, text, meta));
+}
+
+function clearSlot(slot) {
+  return journaled('clearSlot', `Clear slot ${slot}`, () => clearSlotEntry(String(slot)));
+}
+
+function renameSlot(from, to) {
+  to = normalizeSlotName(to);
+  if (to === null) return Promise.resolve(false);
+  return journaled('renameSlot', `Rename slot ${from} to ${to}`, () => renameSlotEntry(String(from), to));
+}
+
+function swapSlots(a, b) {
+  b = normalizeSlotName(b);
+  if (b === null) return Promise.resolve(false);
+  return journaled('swapSlots', `Swap slots ${a} and ${b}`, () => swapSlotEntries(String(a), b));
+}
+
+function addToHistory(text, meta = {}) {
+  return journaled('add', `Add "${preview(text || '')}"`, () => addEntry(text, meta));
+}
+
+function pinItem(id) {
+  const entry = findEntryById(id) || findMergedEntry(id);
+  return journaled('pin', `Pin "${preview(entry ? entry.text : id)}"`, () => {
+    importMerged(id);
+    return pinEntry(id);
+  });
+}
+
+function unpinItem(id) {
+  const entry = findEntryById(id) || findMergedEntry(id);
+  return journaled('unpin', `Unpin "${preview(entry ? entry.text : id)}"`, () => {
+    importMerged(id);
+    return unpinEntry(id);
+  });
+}
+
+function setTemplate(id, text) {
+  const entry = findEntryById(id);
+  return journaled('template', `Save template "${preview(entry ? entry.text : id)}"`, () => templateEntry(id, text));
+}
+
+function editItem(id, text) {
+  const entry = findEntryById(id);
+  if (!entry && findMergedEntry(id)) {
+    console.warn('[Clipboard Manager] ⚠️ Global entries are read-only in the merged view.');
+    return Promise.resolve(false);
+  }
+  return journaled('edit', `Edit "${preview(entry ? entry.text : id)}"`, () => editEntry(id, text));
+}
+
+function deleteItem(id) {
+  const entry = findEntryById(id);
+  if (!entry && findMergedEntry(id)) {
+    console.warn('[Clipboard Manager] ⚠️ Global entries are read-only in the merged view.');
+    return Promise.resolve(false);
+  }
+  return journaled('delete', `Delete "${preview(entry ? entry.text : id)}"`, () => deleteEntry(id));
+}
+
+function clearHistory() {
+  return journaled('clear', 'Clear all history', () => clearEntries());
+}
+
+function restoreItem(id) {
+  const item = historyData.trash.find(t => t.entry.id === id);
+  return journaled('restore', `Restore "${preview(item ? item.entry.text : id)}"`, () => restoreEntries([id]));
+}
+
+function restoreAll() {
+  return journaled('restore', 'Restore all from trash', () => restoreEntries(historyData.trash.map(t => t.entry.id)));
+}
+
+// Permanently remove everything in the trash, including from the undo journal
+function emptyTrash() {
+  if (storageLock) return false;
+  const ids = historyData.trash.map(t => t.entry.id);
+  historyData.trash = [];
+  saveFile();
+  scrubJournal(ids);
+  console.log(`[Clipboard Manager] 🗑️ Emptied the trash (${ids.length} entries).`);
+  return true;
+}
+
+// Trashed entries, most recently deleted first, with `from`, `deletedAt` and
+// `purgeAt` (when the retention period removes them)
+function getTrash() {
+  return historyData.trash.map(t => ({
+    ...cloneEntry(t.entry),
+    from: t.from,
+    deletedAt: t.deletedAt,
+    purgeAt: limits.trashDays ? t.deletedAt + limits.trashDays * DAY_MS : null
+  }));
+}
+
+// Drop history entries outside the retention limits and expired trash;
+// resolves to the number removed
+async function pruneHistory() {
+  try {
+    const expired = [...expiredEntries(), ...expiredSlots().map(slot => historyData.slots[slot])];
+    let removed = 0;
+    if (expired.length) {
+      removed = (await journaled('prune', 'Prune expired history', () => pruneEntries())) || 0;
+      // Auto-expired secrets must not survive in the undo journal either
+      scrubJournal(expired.filter(e => e.expiresAt).map(e => e.id));
+    }
+    return removed + purgeTrash();
+  } catch (e) {
+    console.error('[Clipboard Manager] ❌ Failed to prune history:', e.message);
+    return 0;
+  }
+}
+
+// --------------------------------------------------------------------------
+// 🏷️ Tags & Folders
+// --------------------------------------------------------------------------
+// Tags can go on any entry; folders organize pinned items and nest with '/'.
+// Neither touches the text, so in CLI mode they are kept in the history file only.
+
+function normalizeTag(tag) {
+  const clean = String(tag || '').trim().replace(/^#/, '').toLowerCase();
+  return /^[^\s,]{1,40}$/.test(clean) ? clean : null;
+}
+
+function normalizeFolderPath(folder) {
+  const segments = String(folder || '').split('/').map(s => s.trim()).filter(Boolean);
+  if (!segments.length || segments.some(s => s.length > 60)) return null;
+  return segments.join('/');
+}
+
+function inFolder(folder, root) {
+  return folder === root || (folder || '').startsWith(root + '/');
+}
+
+function updateEntry(id, change) {
+  const entry = findEntryById(id);
+  if (!entry || change(entry) === false) return false;
+  saveFile();
+  return true;
+}
+
+// Every tag in use, sorted
+function getTags() {
+  const all = [...historyData.pinned, ...historyData.history, ...Object.values(historyData.slots)];
+  return [...new Set(all.flatMap(e => e.tags || []))].sort();
+}
+
+// Every folder path (created ones, the visible pinned items' folders and their parents), sorted
+function getFolders() {
+  const folders = new Set();
+  for (const folder of [...historyData.folders, ...visibleLists().pinned.map(e => e.folder).filter(Boolean)]) {
+    const segments = folder.split('/');
+    segments.forEach((_, i) => folders.add(segments.slice(0, i + 1).join('/')));
+  }
+  return [...folders].sort((a, b) => a.localeCompare(b));
+}
+
+function tagItem(id, tags) {
+  const add = (tags || []).map(normalizeTag).filter(Boolean);
+  if (!add.length) return Promise.resolve(false);
+  return journaled('tag', `Tag with ${add.map(t => `#${t}`).join(' ')}`, () => updateEntry(id, (entry) => {
+    const merged = [...new Set([...(entry.tags || []), ...add])];
+    if (merged.length === (entry.tags || []).length) return false;
+    entry.tags = merged;
+  }));
+}
+
+function untagItem(id, tags) {
+  const drop = new Set((tags || []).map(normalizeTag).filter(Boolean));
+  return journaled('untag', `Remove ${[...drop].map(t => `#${t}`).join(' ')}`, () => updateEntry(id, (entry) => {
+    const kept = (entry.tags || []).filter(t => !drop.has(t));
+    if (kept.length === (entry.tags || []).length) return false;
+    if (kept.length) entry.tags = kept;
+    else delete entry.tags;
+  }));
+}
+
+function createFolder(folder) {
+  folder = normalizeFolderPath(folder);
+  if (folder === null || getFolders().includes(folder)) return false;
+  historyData.folders.push(folder);
+  return saveFile() && folder;
+}
+
+// Move a pinned item into a folder, or out of all folders with a null folder
+function moveToFolder(id, folder) {
+  const target = folder === null ? null : normalizeFolderPath(folder);
+  if (folder !== null && target === null) return Promise.resolve(false);
+  const found = historyData.pinned.find(e => e.id === id);
+  if (!found) return Promise.resolve(false);
+  const label = target ? `Move "${preview(found.text)}" to ${target}` : `Move "${preview(found.text)}" out of its folder`;
+  return journaled('moveToFolder', label, () => {
+    const entry = historyData.pinned.find(e => e.id === id);
+    if (!entry || (entry.folder || null) === target) return false;
+    if (target) entry.folder = target;
+    else delete entry.folder;
+    saveFile();
+    return true;
+  });
+}
+
+// Put an entry at `index` in pinned (used by drag and drop), pinning it first
+// when it's in history. `folder` (null for none) replaces its folder when given.
+// The CLI keeps its own pinned order, so there `index` is ignored.
+function movePinned(id, { index, folder } = {}) {
+  const target = folder === undefined || folder === null ? folder : normalizeFolderPath(folder);
+  if (target === null && folder !== null && folder !== undefined) return Promise.resolve(false);
+  const found = findEntryById(id) || findMergedEntry(id);
+  return journaled('movePinned', `Move "${preview(found ? found.text : id)}" in pinned`, async () => {
+    importMerged(id);
+    if (!historyData.pinned.some(e => e.id === id) && !(await pinEntry(id))) return false;
+    const entry = historyData.pinned.find(e => e.id === id);
+    if (!entry) return false;
+    if (target) entry.folder = target;
+    else if (target === null) delete entry.folder;
+
+    if (typeof index === 'number' && !CLI_PATH) {
+      const from = historyData.pinned.indexOf(entry);
+      historyData.pinned.splice(from, 1);
+      const to = Math.max(0, Math.min(from < index ? index - 1 : index, historyData.pinned.length));
+      historyData.pinned.splice(to, 0, entry);
+      rebuildAll();
+    }
+    saveFile();
+    return true;
+  });
+}
+
+// Rename (or move, with a different parent path) a folder and everything in it
+function renameFolder(from, to) {
+  from = normalizeFolderPath(from);
+  to = normalizeFolderPath(to);
+  if (from === null || to === null || from === to || inFolder(to, from)) return Promise.resolve(false);
+  if (getFolders().includes(to)) return Promise.resolve(false);
+  const rename = (folder) => (inFolder(folder, from) ? to + folder.slice(from.length) : folder);
+  return journaled('renameFolder', `Rename folder ${from} to ${to}`, () => {
+    if (!getFolders().includes(from)) return false;
+    historyData.folders = historyData.folders.map(rename);
+    for (const entry of historyData.pinned) {
+      if (entry.folder && inFolder(entry.folder, from)) entry.folder = rename(entry.folder);
+    }
+    saveFile();
+    return true;
+  });
+}
+
+// Remove a folder; its items and subfolders move up to the parent folder
+function deleteFolder(folder) {
+  folder = normalizeFolderPath(folder);
+  if (folder === null) return Promise.resolve(false);
+  const parent = folder.includes('/') ? folder.slice(0, folder.lastIndexOf('/')) : null;
+  const lift = (f) => (parent ? parent + f.slice(folder.length) : f.slice(folder.length + 1));
+  return journaled('deleteFolder', `Delete folder ${folder}`, () => {
+    if (!getFolders().includes(folder)) return false;
+    historyData.folders = historyData.folders.filter(f => f !== folder).map(f => (inFolder(f, folder) ? lift(f) : f));
+    for (const entry of historyData.pinned) {
+      if (!entry.folder || !inFolder(entry.folder, folder)) continue;
+      const moved = entry.folder === folder ? parent : lift(entry.folder);
+      if (moved) entry.folder = moved;
+      else delete entry.folder;
+    }
+    saveFile();
+    return true;
+  });
+}
+
+// --------------------------------------------------------------------------
+// 📦 Import & Export
+// --------------------------------------------------------------------------
+
+// The active history as { version, exportedAt, slots, pinned, history }
+function exportData() {
+  const slots = {};
+  for (const k of Object.keys(historyData.slots)) slots[k] = cloneEntry(historyData.slots[k]);
+  return {
+    version: DATA_VERSION,
+    exportedAt: Date.now(),
+    slots,
+    pinned: historyData.pinned.map(cloneEntry),
+    history: historyData.history.map(cloneEntry)
+  };
+}
+
+// Add imported entries (or replace everything with them). Texts already in
+// pinned/history are skipped, as are slots already in use when merging.
+// Imported text goes through the same sensitive screening as copies.
+async function importEntries(incoming, mode) {
+  const replace = mode === 'replace';
+  const own = [...historyData.pinned, ...historyData.history, ...Object.values(historyData.slots)];
+  const texts = new Set(replace ? [] : [...historyData.pinned, ...historyData.history].map(e => e.text));
+  const ids = new Set(replace ? [] : own.map(e => e.id));
+  const stats = { added: 0, skipped: 0, expired: 0 };
+
+  const prepare = (value) => {
+    const entry = toEntry(value);
+    const screened = entry && entry.text.trim() ? screenSensitive(entry.text) : null;
+    if (!screened) {
+      stats.skipped++;
+      return null;
+    }
+    Object.assign(entry, screened.fields, { text: screened.text });
+    if (entry.parts && entry.parts.join('\n') !== entry.text) delete entry.parts;
+    if (ids.has(entry.id)) entry.id = newId();
+    ids.add(entry.id);
+    return entry;
+  };
+
+  const toInsert = [];
+  for (const list of ['pinned', 'history']) {
+    let key = replace ? 0 : historyData[list].length;
+    for (const value of incoming[list] || []) {
+      const entry = prepare(value);
+      if (!entry) continue;
+      if (texts.has(entry.text)) {
+        stats.skipped++;
+        continue;
+      }
+      texts.add(entry.text);
+      toInsert.push({ list, key: key++, entry });
+    }
+  }
+  for (const name of Object.keys(incoming.slots || {})) {
+    const slot = normalizeSlotName(name);
+    const entry = slot === null ? null : prepare(incoming.slots[name]);
+    if (!entry || (!replace && historyData.slots[slot])) {
+      if (entry) stats.skipped++;
+      continue;
+    }
+    toInsert.push({ list: 'slot', key: slot, entry });
+  }
+  const toRemove = !replace ? [] : [
+    ...historyData.pinned.map((entry, key) => ({ list: 'pinned', key, entry })),
+    ...historyData.history.map((entry, key) => ({ list: 'history', key, entry })),
+    ...Object.keys(historyData.slots).map(key => ({ list: 'slot', key, entry: historyData.slots[key] }))
+  ];
+  if (!toInsert.length && !toRemove.length) return stats;
+
+  if (CLI_PATH) {
+    await applyPlacementsCli(toRemove, toInsert);
+    await deleteCliEntries(expiredEntries());
+  } else {
+    applyPlacements(toRemove, toInsert);
+    dropHistory(expiredEntries());
+    rebuildAll();
+  }
+  saveFile();
+  // Imported history older than the retention limits is pruned right away,
+  // so only count the entries that are still there
+  const kept = toInsert.filter(p => (p.list === 'slot'
+    ? historyData.slots[p.key] && historyData.slots[p.key].text === p.entry.text
+    : historyData[p.list].some(e => e.text === p.entry.text)));
+  stats.added = kept.length;
+  stats.expired = toInsert.length - kept.length;
+  console.log(`[Clipboard Manager] 📥 Imported ${stats.added} entries (${stats.skipped} skipped, ${stats.expired} past the history limits).`);
+  return stats;
+}
+
+// `incoming` is { slots, pinned, history } of entries or plain strings;
+// `mode` is 'merge' or 'replace'. Resolves to { added, skipped, expired }, or
+// false; `expired` entries were imported but fell outside the history limits.
+function importData(incoming, mode = 'merge') {
+  return journaled('import', mode === 'replace' ? 'Import (replace all)' : 'Import', () => importEntries(incoming || {}, mode));
+}
+
+// --------------------------------------------------------------------------
+// 🌐 Merged Global History
+// --------------------------------------------------------------------------
+// With the "both" storage scope the global history file is shown next to the
+// active (workspace) one. It is read-only here: pinning or unpinning one of its
+// entries first copies it into the active history.
+let MERGED_FILE = null;
+let mergedData = null;
+
+function setMergedFile(filePath) {
+  MERGED_FILE = filePath || null;
+  loadMerged();
+}
+
+function loadMerged() {
+  mergedData = null;
+  if (!MERGED_FILE || MERGED_FILE === HISTORY_FILE || !fs.existsSync(MERGED_FILE)) return;
+  try {
+    const { parsed } = readHistoryFile(MERGED_FILE);
+    const entries = (list) => (list || []).map(v => toEntry(v)).filter(Boolean);
+    const slots = {};
+    for (const k of Object.keys(parsed.slots || {})) {
+      const entry = toEntry(parsed.slots[k]);
+      if (entry) slots[k] = entry;
+    }
+    mergedData = { pinned: entries(parsed.pinned), history: entries(parsed.history), slots };
+  } catch (err) {
+    console.warn('[Clipboard Manager] ⚠️ Could not read global history for the merged view:', err.message);
+  }
+}
+
+function findMergedEntry(id) {
+  if (!mergedData || !id) return null;
+  return mergedData.pinned.find(e => e.id === id) || mergedData.history.find(e => e.id === id) || null;
+}
+
+// Copies of the active lists, with merged global entries (tagged `scope: 'global'`)
+// added where the active history doesn't already hold the same text
+function visibleLists() {
+  const slots = {};
+  for (const k of Object.keys(historyData.slots)) slots[k] = cloneEntry(historyData.slots[k]);
+  const pinned = historyData.pinned.map(cloneEntry);
+  const history = historyData.history.map(cloneEntry);
+  if (!mergedData) return { slots, history, pinned };
+
+  const own = new Set([...pinned, ...history].map(e => e.text));
+  const foreign = (list) => mergedData[list]
+    .filter(e => !own.has(e.text))
+    .map(e => ({ ...cloneEntry(e), scope: 'global' }));
+  for (const k of Object.keys(mergedData.slots)) {
+    if (!slots[k]) slots[k] = { ...cloneEntry(mergedData.slots[k]), scope: 'global' };
+  }
+  const recency = (e) => e.lastUsedAt || e.createdAt || 0;
+  return {
+    slots,
+    pinned: [...pinned, ...foreign('pinned')],
+    history: [...history, ...foreign('history')].sort((a, b) => recency(b) - recency(a))
+  };
+}
+
+// Copy a merged global entry into the active history so it can be changed
+function importMerged(id) {
+  if (CLI_PATH || findEntryById(id)) return;
+  const entry = findMergedEntry(id);
+  if (!entry) return;
+  const list = mergedData.pinned.includes(entry) ? 'pinned' : 'history';
+  if (list === 'pinned') historyData.pinned.push(cloneEntry(entry));
+  else historyData.history.unshift(cloneEntry(entry));
+}
+
 // --------------------------------------------------------------------------
 // 🔍 Search & Getters
 // --------------------------------------------------------------------------
+// Search slots, pinned items and history with the searchQuery syntax
+// (fuzzy text, /regex/, pinned:, slot:, lang:, since:, tag:, from:). Results are entry
+// copies with `location`, `slot` and the match ranges, best match first.
+// Throws on an invalid regex.
 function search(query) {
-  if (!query) return [...historyData.history];
-  const lower = query.toLowerCase();
-  return historyData.history.filter(item => item.toLowerCase().includes(lower));
+  const lists = visibleLists();
+  const parsed = searchQuery.parseQuery(query);
+  const candidates = [
+    ...Object.keys(lists.slots).map(slot => ({ entry: lists.slots[slot], location: 'slot', slot })),
+    ...lists.pinned.map(entry => ({ entry, location: 'pinned' })),
+    ...lists.history.map(entry => ({ entry, location: 'history' }))
+  ];
+  const recency = (e) => e.lastUsedAt || e.createdAt || 0;
+  return candidates
+    .map(({ entry, location, slot }) => {
+      const match = searchQuery.matchEntry(parsed, entry, location, slot);
+      return match && { ...entry, location, slot: slot || null, score: match.score, matches: match.matches };
+    })
+    .filter(Boolean)
+    .sort((a, b) => (b.score - a.score) || (recency(b) - recency(a)));
+}
+
+// Entries are handed out as copies so callers can't mutate stored state
+function cloneEntry(entry) {
+  return JSON.parse(JSON.stringify(entry));
 }
 
 function getAll() {
+  return visibleLists();
+}
+
+// Section sizes as the view shows them (history without pinned texts),
+// counted without copying any entries
+function getCounts() {
+  const own = new Set([...historyData.pinned, ...historyData.history].map(e => e.text));
+  const foreign = (list) => (mergedData ? mergedData[list].filter(e => !own.has(e.text)) : []);
+  const pinned = [...historyData.pinned, ...foreign('pinned')];
+  const pinnedTexts = new Set(pinned.map(e => e.text));
+  const history = [...historyData.history, ...foreign('history')].filter(e => !pinnedTexts.has(e.text));
+  const slots = new Set([...Object.keys(historyData.slots), ...(mergedData ? Object.keys(mergedData.slots) : [])]);
+  return { slots: slots.size, pinned: pinned.length, history: history.length, trash: historyData.trash.length };
+}
+
+// Entry counts, what each slot holds and the newest entry, for at-a-glance
+// displays (status bar). Previews are first lines with secrets hidden.
+function getSummary() {
+  const { slots, pinned, history } = visibleLists();
+  const short = (entry) => entry.sensitive ? '🔒 sensitive entry' : preview(entry.text);
+  const latest = history[0] || null;
   return {
-    slots: { ...historyData.slots },
-    history: [...historyData.history],
-    pinned: [...historyData.pinned]
+    history: history.length,
+    pinned: pinned.length,
+    slots: Object.keys(slots).map(slot => ({ slot, preview: short(slots[slot]) })),
+    latest: latest && {
+      id: latest.id,
+      preview: short(latest),
+      usedAt: latest.lastUsedAt || latest.createdAt || null
+    }
   };
 }
 
+function getEntry(id) {
+  const entry = findEntryById(id);
+  if (entry) return cloneEntry(entry);
+  const merged = findMergedEntry(id);
+  return merged ? { ...cloneEntry(merged), scope: 'global' } : null;
+}
+
+function findEntry(text) {
+  if (!text) return null;
+  const entry = findEntryByText(normalizeText(text));
+  return entry ? cloneEntry(entry) : null;
+}
+
+function getSlotEntry(slot) {
+  const entry = historyData.slots[slot];
+  return entry ? cloneEntry(entry) : null;
+}
+
+// Bump the last-used time and use counter of an entry
+function markUsed(id) {
+  const entry = findEntryById(id);
+  if (!entry) return false;
+  touchEntry(entry);
+  saveFile();
+  return true;
+}
+
+// Ask the CLI for its history as parsed JSON, or null when it can't export.
+// The export goes through a temp file so plain text never replaces an encrypted HISTORY_FILE.
+function exportFromCli() {
+  const os = require('os');
+  const tmpPath = path.join(os.tmpdir(), `cm_export_${Date.now()}_${Math.random().toString(36).slice(2)}.json`);
+  try {
+    runCliSync(['export-json', tmpPath]);
+    return JSON.parse(fs.readFileSync(tmpPath, 'utf8'));
+  } catch (e) {
+    return null;
+  } finally {
+    try { fs.unlinkSync(tmpPath); } catch (e) {}
+  }
+}
+
 function reload() {
+  if (storageLock) return false;
   try {
-    // If CLI exists, ask it to export JSON into HISTORY_FILE synchronously
-    if (CLI_PATH) {
+    let parsed;
+    if (CLI_PATH && ENCRYPTION_KEY) {
+      parsed = exportFromCli(); // null falls back to the saved file
+    } else if (CLI_PATH) {
+      // If CLI exists, ask it to export JSON into HISTORY_FILE synchronously
       try { runCliSync(['export-json', HISTORY_FILE]); } catch (e) { /* ignore */ }
     }
-    if (!fs.existsSync(HISTORY_FILE)) return false;
-    const data = fs.readFileSync(HISTORY_FILE, 'utf8');
-    const parsed = JSON.parse(data);
-    // Normalize newline formats when loading so internal representation uses \n
-    historyData.slots = {};
-    if (parsed.slots) {
-      for (const k of Object.keys(parsed.slots)) {
-        try {
-          historyData.slots[k] = String(parsed.slots[k]).replace(/\r\n/g, '\n');
-        } catch (e) {
-          historyData.slots[k] = parsed.slots[k];
-        }
-      }
+    let encrypted = !!ENCRYPTION_KEY;
+    if (!parsed) {
+      if (!fs.existsSync(HISTORY_FILE)) return false;
+      const file = readHistoryFile(HISTORY_FILE);
+      parsed = file.parsed;
+      encrypted = file.encrypted;
     }
-    historyData.history = (parsed.history || []).map(s => String(s).replace(/\r\n/g, '\n'));
-    historyData.pinned = (parsed.pinned || []).map(s => String(s).replace(/\r\n/g, '\n'));
-    historyData.all = (parsed.all || []).map(a => ({ index: a && a.index, content: String((a && a.content) || '').replace(/\r\n/g, '\n') }));
+    // Normalizes newlines and migrates string-only files (or CLI exports) to entries
+    loadData(parsed, !!CLI_PATH);
+    loadMerged();
+    if (parsed.version !== DATA_VERSION || encrypted !== !!ENCRYPTION_KEY) saveFile();
     return true;
   } catch (err) {
     console.error('[Clipboard Manager] ❌ Failed to reload history file:', err.message);
@@ -459,17 +1958,52 @@ function reload() {
 // --------------------------------------------------------------------------
 module.exports = {
   init,
+  configure,
+  setMergedFile,
+  setEncryptionKey,
+  reencrypt,
+  resetLockedStorage,
+  getStorageStatus,
   saveToSlot,
   getFromSlot,
+  clearSlot,
+  renameSlot,
+  swapSlots,
+  normalizeSlotName,
+  getSlotEntry,
+  getEntry,
+  findEntry,
   addToHistory,
   pinItem,
   unpinItem,
+  setTemplate,
+  editItem,
+  tagItem,
+  untagItem,
+  getTags,
+  getFolders,
+  createFolder,
+  renameFolder,
+  deleteFolder,
+  moveToFolder,
+  movePinned,
+  exportData,
+  importData,
   deleteItem,
   search,
   getAll,
+  getCounts,
+  getSummary,
   reload,
   hasCli,
-  undoDelete
-  ,
-  clearHistory
+  markUsed,
+  undo,
+  redo,
+  getJournal,
+  clearHistory,
+  restoreItem,
+  restoreAll,
+  emptyTrash,
+  getTrash,
+  pruneHistory
 };
@@ -0,0 +1,149 @@
+// 📦 historyExport.js
+// Export/import formats for slots, pinned items and history
+//
+// - json:     the full entry model with metadata (also reads older files that
+//             store plain strings in `slots` / `pinned` / `history`)
+// - markdown: one fenced code block per entry under Slots / Pinned / History
+// - text:     entries separated by lines holding a single "%" (fortune style);
+//             a line of only "%"s inside an entry gets one more on export and
+//             loses it on import. On import every entry goes to history
+
+const FORMATS = {
+  json: { label: 'JSON', extensions: ['json'] },
+  markdown: { label: 'Markdown', extensions: ['md', 'markdown'] },
+  text: { label: 'Plain text', extensions: ['txt'] }
+};
+
+const TEXT_SEPARATOR = '%';
+const SECTION_TITLES = { slots: 'Slots', pinned: 'Pinned', history: 'History' };
+
+function formatForFile(fileName) {
+  const ext = String(fileName).split('.').pop().toLowerCase();
+  return Object.keys(FORMATS).find(format => FORMATS[format].extensions.includes(ext)) || 'text';
+}
+
+// `data` is { version, exportedAt, slots: { name: entry }, pinned: [entry], history: [entry] }
+function serialize(data, format) {
+  if (format === 'json') return JSON.stringify(data, null, 2) + '\n';
+  if (format === 'markdown') return toMarkdown(data);
+  return toText(data);
+}
+
+// Returns { slots, pinned, history } holding entry objects or plain strings.
+// Throws when the content isn't in the given format.
+function parse(content, format) {
+  if (format === 'json') return fromJson(content);
+  if (format === 'markdown') return fromMarkdown(content);
+  return fromText(content);
+}
+
+// --------------------------------------------------------------------------
+// 🧾 JSON
+// --------------------------------------------------------------------------
+function fromJson(content) {
+  const parsed = JSON.parse(content);
+  if (Array.isArray(parsed)) return { slots: {}, pinned: [], history: parsed };
+  if (!parsed || typeof parsed !== 'object' || !['slots', 'pinned', 'history'].some(key => key in parsed)) {
+    throw new Error('Not a Clipboard Manager export');
+  }
+  return {
+    slots: parsed.slots && typeof parsed.slots === 'object' && !Array.isArray(parsed.slots) ? parsed.slots : {},
+    pinned: Array.isArray(parsed.pinned) ? parsed.pinned : [],
+    history: Array.isArray(parsed.history) ? parsed.history : []
+  };
+}
+
+// --------------------------------------------------------------------------
+// 📝 Markdown
+// --------------------------------------------------------------------------
+function fence(text) {
+  const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+  return '`'.repeat(Math.max(3, longest + 1));
+}
+
+function codeBlock(entry) {
+  const marks = fence(entry.text);
+  const lang = entry.source && entry.source.languageId ? entry.source.languageId : '';
+  return `${marks}${lang}\n${entry.text}\n${marks}\n`;
+}
+
+function toMarkdown(data) {
+  const out = ['# Clipboard Manager export', ''];
+  if (data.exportedAt) out.push(`Exported ${new Date(data.exportedAt).toISOString()}`, '');
+  const slots = Object.keys(data.slots || {});
+  if (slots.length) {
+    out.push(`## ${SECTION_TITLES.slots}`, '');
+    for (const slot of slots) out.push(`### Slot ${slot}`, '', codeBlock(data.slots[slot]));
+  }
+  for (const list of ['pinned', 'history']) {
+    if (!(data[list] || []).length) continue;
+    out.push(`## ${SECTION_TITLES[list]}`, '');
+    for (const entry of data[list]) out.push(codeBlock(entry));
+  }
+  return out.join('\n');
+}
+
+function fromMarkdown(content) {
+  const result = { slots: {}, pinned: [], history: [] };
+  const lines = content.replace(/\r\n/g, '\n').split('\n');
+  let section = 'history';
+  let slot = null;
+  let block = null;
+  for (const line of lines) {
+    if (block) {
+      const close = /^(`{3,}|~{3,})\s*$/.exec(line);
+      if (close && close[1][0] === block.marks[0] && close[1].length >= block.marks.length) {
+        const entry = { text: block.lines.join('\n'), source: block.lang ? { languageId: block.lang } : null };
+        if (section === 'slots' && slot !== null) result.slots[slot] = entry;
+        else result[section === 'pinned' ? 'pinned' : 'history'].push(entry);
+        slot = null;
+        block = null;
+      } else {
+        block.lines.push(line);
+      }
+      continue;
+    }
+    const open = /^(`{3,}|~{3,})\s*([\w#+.-]*)/.exec(line);
+    if (open) {
+      block = { marks: open[1], lang: open[2], lines: [] };
+      continue;
+    }
+    const heading = /^##\s+(.+?)\s*$/.exec(line);
+    if (heading) {
+      section = Object.keys(SECTION_TITLES).find(key => SECTION_TITLES[key].toLowerCase() === heading[1].toLowerCase()) || 'history';
+      slot = null;
+      continue;
+    }
+    const slotHeading = /^###\s+Slot\s+(.+?)\s*$/i.exec(line);
+    if (slotHeading && section === 'slots') slot = slotHeading[1];
+  }
+  if (block) throw new Error('Unclosed code block');
+  return result;
+}
+
+// --------------------------------------------------------------------------
+// 📄 Plain text
+// --------------------------------------------------------------------------
+function toText(data) {
+  const seen = new Set();
+  const texts = [...Object.values(data.slots || {}), ...(data.pinned || []), ...(data.history || [])]
+    .map(entry => entry.text)
+    .filter(text => !seen.has(text) && seen.add(text))
+    .map(text => text.replace(/^%+(?=\r?$)/gm, '$&%'));
+  return texts.join(`\n${TEXT_SEPARATOR}\n`) + '\n';
+}
+
+function fromText(content) {
+  const normalized = content.replace(/\r\n/g, '\n').replace(/\n$/, '');
+  const history = normalized.split(`\n${TEXT_SEPARATOR}\n`)
+    .filter(text => text.trim())
+    .map(text => text.replace(/^%(%+)$/gm, '$1'));
+  return { slots: {}, pinned: [], history };
+}
+
+module.exports = {
+  FORMATS,
+  formatForFile,
+  serialize,
+  parse
+};
@@ -0,0 +1,70 @@
+// 📋 pastePicker.js
+// QuickPick palette of pinned items, slots and recent history for pasting
+
+const vscode = require('vscode');
+
+const RECENT_LIMIT = 50;
+const PREVIEW_LINES = 3;
+
+// Resolves to the chosen entries in list order, or [] when cancelled
+function showPastePicker(backend, dataProvider) {
+  const { slots = {}, pinned = [], history = [] } = backend.getAll();
+  const items = [
+    ...section('Pinned', pinned.map(entry => toItem(dataProvider, entry, 'pin'))),
+    ...section('Slots', Object.keys(slots).map(slot => toItem(dataProvider, slots[slot], 'save-all', `Slot ${slot}`))),
+    ...section('Recent', history.slice(0, RECENT_LIMIT).map(entry => toItem(dataProvider, entry, 'history')))
+  ];
+
+  return new Promise((resolve) => {
+    if (!items.length) {
+      vscode.window.showInformationMessage('📋 Clipboard history is empty.');
+      return resolve([]);
+    }
+
+    const picker = vscode.window.createQuickPick();
+    picker.title = '📋 Paste from Clipboard';
+    picker.placeholder = 'Pick an entry to paste, or check several to paste them together';
+    picker.canSelectMany = true;
+    picker.matchOnDescription = true;
+    picker.matchOnDetail = true;
+    picker.items = items;
+
+    let chosen = [];
+    picker.onDidAccept(() => {
+      // Enter without any checked items pastes the highlighted one
+      const selected = picker.selectedItems.length ? picker.selectedItems : picker.activeItems;
+      chosen = items.filter(item => selected.includes(item)).map(item => item.entry);
+      picker.hide();
+    });
+    picker.onDidHide(() => {
+      picker.dispose();
+      resolve(chosen);
+    });
+    picker.show();
+  });
+}
+
+function section(label, items) {
+  return items.length ? [{ label, kind: vscode.QuickPickItemKind.Separator }, ...items] : [];
+}
+
+function toItem(dataProvider, entry, icon, prefix) {
+  const lines = entry.text.split(/\r?\n/);
+  const more = lines.length - 1 - PREVIEW_LINES;
+  const preview = lines.slice(1, 1 + PREVIEW_LINES).map(line => line.trim()).filter(Boolean).join(' ↵ ');
+  return {
+    label: `$(${entry.sensitive ? 'lock' : icon}) ${noIcons(lines[0].trim() || '[Empty]')}`,
+    description: [prefix, dataProvider.describe(entry)].filter(Boolean).join(' · '),
+    detail: lines.length > 1 ? `↵ ${noIcons(preview)}${more > 0 ? ` … (+${more} more lines)` : ''}` : undefined,
+    entry
+  };
+}
+
+// QuickPick labels render "$(name)" as an icon, so copied text can't contain one
+function noIcons(text) {
+  return text.replace(/\$\(/g, '$\u200b(');
+}
+
+module.exports = {
+  showPastePicker
+};
@@ -0,0 +1,113 @@
+// 🔍 searchPicker.js
+// Live QuickPick search over slots, pinned items and history
+
+const vscode = require('vscode');
+
+const LOCATION_ICONS = { slot: 'save-all', pinned: 'pin', history: 'history' };
+const COPY_BUTTON = { iconPath: new vscode.ThemeIcon('copy'), tooltip: 'Copy to system clipboard' };
+const SHOW_IN_VIEW_BUTTON = { iconPath: new vscode.ThemeIcon('list-filter'), tooltip: 'Show results in the Clipboard view' };
+const SNIPPET_WIDTH = 100;
+
+// Accepting an item pastes it; the item button copies it instead.
+// Resolves once the picker is closed.
+function showSearchPicker(backend, dataProvider) {
+  return new Promise((resolve) => {
+    const picker = vscode.window.createQuickPick();
+    picker.title = '🔍 Search Clipboard';
+    picker.placeholder = 'Fuzzy text or /regex/ · filters: pinned: slot: slot:3 history: lang:ts since:1d tag:api from:cut';
+    picker.matchOnDescription = false;
+    picker.matchOnDetail = false;
+    picker.buttons = [SHOW_IN_VIEW_BUTTON];
+
+    const update = () => {
+      picker.items = buildItems(backend, dataProvider, picker.value);
+    };
+    update();
+
+    picker.onDidChangeValue(update);
+
+    picker.onDidAccept(() => {
+      const [item] = picker.selectedItems;
+      if (!item || !item.entryId) return;
+      picker.hide();
+      vscode.commands.executeCommand('clipboard.pasteItem', { id: item.entryId });
+    });
+
+    picker.onDidTriggerItemButton(({ item }) => {
+      picker.hide();
+      vscode.commands.executeCommand('clipboard.copyToClipboard', { id: item.entryId });
+    });
+
+    picker.onDidTriggerButton(() => {
+      const query = picker.value;
+      picker.hide();
+      dataProvider.search(query);
+    });
+
+    picker.onDidHide(() => {
+      picker.dispose();
+      resolve();
+    });
+
+    picker.show();
+  });
+}
+
+function buildItems(backend, dataProvider, query) {
+  let results;
+  try {
+    results = backend.search(query);
+  } catch (err) {
+    return [{ label: '$(error) Invalid search', detail: err.message, alwaysShow: true }];
+  }
+  if (!results.length) {
+    return [{ label: '$(circle-slash) No matching clipboard entries', alwaysShow: true }];
+  }
+
+  return results.map((entry) => {
+    const where = entry.location === 'slot' ? `Slot ${entry.slot}` : entry.location;
+    return {
+      label: `$(${entry.sensitive ? 'lock' : LOCATION_ICONS[entry.location]}) ${noIcons(firstLine(entry.text))}`,
+      description: [where, dataProvider.describe(entry)].filter(Boolean).join(' · '),
+      detail: entry.matches.length ? noIcons(highlight(entry.text, entry.matches)) : undefined,
+      // Results are already filtered and ranked; keep the QuickPick from re-filtering them
+      alwaysShow: true,
+      buttons: [COPY_BUTTON],
+      entryId: entry.id
+    };
+  });
+}
+
+function firstLine(text) {
+  const lines = text.split(/\r?\n/);
+  const first = lines[0].trim() || '[Empty]';
+  return lines.length > 1 ? `${first} … (+${lines.length - 1} lines)` : first;
+}
+
+// QuickPick labels render "$(name)" as an icon, so copied text can't contain one
+function noIcons(text) {
+  return text.replace(/\$\(/g, '$\u200b(');
+}
+
+// One-line snippet around the first match with every visible match wrapped in «»
+function highlight(text, matches) {
+  const first = matches[0].start;
+  const start = Math.max(0, Math.min(first - 20, text.length - SNIPPET_WIDTH));
+  const end = Math.min(text.length, start + SNIPPET_WIDTH);
+
+  let out = '';
+  let pos = start;
+  for (const m of matches) {
+    if (m.end <= pos || m.start >= end) continue;
+    const from = Math.max(m.start, pos);
+    const to = Math.min(m.end, end);
+    out += text.slice(pos, from) + '«' + text.slice(from, to) + '»';
+    pos = to;
+  }
+  out += text.slice(pos, end);
+  return (start > 0 ? '…' : '') + out.replace(/\s+/g, ' ').trim() + (end < text.length ? '…' : '');
+}
+
+module.exports = {
+  showSearchPicker
+};
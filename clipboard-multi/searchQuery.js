@@ -0,0 +1,129 @@
+// 🔎 searchQuery.js
+// Query parsing and fuzzy/regex matching for clipboard search
+//
+// Query syntax (terms can be combined):
+//   foo bar      fuzzy match on the entry text
+//   /foo\d+/i    regular expression on the entry text
+//   pinned:      only pinned items        history:   only history entries
+//   slot:        only slots               slot:3     only slot 3
+//   lang:ts      copied from a TypeScript document (languageId or common alias)
+//   since:1d     copied or used within the last 30m / 12h / 1d / 2w
+//   tag:api      tagged "api" (repeat to require several tags)
+//   from:cut     captured from a copy / cut / terminal / external copy
+
+const LANGUAGE_ALIASES = {
+  ts: 'typescript',
+  tsx: 'typescriptreact',
+  js: 'javascript',
+  jsx: 'javascriptreact',
+  py: 'python',
+  rb: 'ruby',
+  rs: 'rust',
+  md: 'markdown',
+  sh: 'shellscript',
+  cs: 'csharp',
+  yml: 'yaml',
+  txt: 'plaintext'
+};
+
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// Parse a query string into filters and a text matcher. Throws on an invalid regex.
+function parseQuery(query) {
+  const parsed = { locations: null, slot: null, languages: [], since: null, tags: [], origins: [], text: '', regex: null };
+  const words = [];
+  for (const token of String(query || '').trim().split(/\s+/).filter(Boolean)) {
+    const m = /^(pinned|history|slot|lang|since|tag|from):(.*)$/i.exec(token);
+    if (!m) {
+      words.push(token);
+      continue;
+    }
+    const key = m[1].toLowerCase();
+    const value = m[2];
+    if (key === 'pinned' || key === 'history' || key === 'slot') {
+      parsed.locations = [...(parsed.locations || []), key];
+      if (key === 'slot' && value) parsed.slot = value;
+    } else if (key === 'lang' && value) {
+      const lang = value.toLowerCase();
+      parsed.languages.push(LANGUAGE_ALIASES[lang] || lang);
+    } else if (key === 'since' && value) {
+      const d = /^(\d+(?:\.\d+)?)([mhdw])$/i.exec(value);
+      if (d) parsed.since = Date.now() - parseFloat(d[1]) * DURATION_UNITS[d[2].toLowerCase()];
+    } else if (key === 'tag' && value) {
+      parsed.tags.push(value.replace(/^#/, '').toLowerCase());
+    } else if (key === 'from' && value) {
+      parsed.origins.push(value.toLowerCase());
+    }
+  }
+
+  const text = words.join(' ');
+  const re = /^\/(.+)\/([gimsuy]*)$/.exec(text);
+  if (re) {
+    parsed.regex = new RegExp(re[1], re[2].replace('g', ''));
+  } else {
+    parsed.text = text;
+  }
+  return parsed;
+}
+
+// Check an entry against the parsed filters and text.
+// `location` is 'history' | 'pinned' | 'slot'; `slot` is the slot name for slots.
+// Returns { score, matches: [{ start, end }] } or null when it doesn't match.
+function matchEntry(parsed, entry, location, slot) {
+  if (parsed.locations && !parsed.locations.includes(location)) return null;
+  if (parsed.slot !== null && (location !== 'slot' || String(slot) !== parsed.slot)) return null;
+  if (parsed.languages.length) {
+    const lang = entry.source && entry.source.languageId;
+    if (!lang || !parsed.languages.includes(lang.toLowerCase())) return null;
+  }
+  if (parsed.since && (entry.lastUsedAt || entry.createdAt || 0) < parsed.since) return null;
+  if (parsed.tags.length && !parsed.tags.every(tag => (entry.tags || []).includes(tag))) return null;
+  if (parsed.origins.length && !parsed.origins.includes(entry.origin)) return null;
+
+  if (parsed.regex) {
+    const m = parsed.regex.exec(entry.text);
+    if (!m) return null;
+    return { score: 100, matches: [{ start: m.index, end: m.index + m[0].length }] };
+  }
+  if (!parsed.text) return { score: 0, matches: [] };
+  return fuzzyMatch(parsed.text, entry.text);
+}
+
+// Case-insensitive match: a plain substring scores highest; otherwise every
+// character must appear in order, with bonuses for runs and word starts.
+function fuzzyMatch(pattern, text) {
+  const p = pattern.toLowerCase();
+  const t = text.toLowerCase();
+  const at = t.indexOf(p);
+  if (at !== -1) {
+    const wordStart = at === 0 || /\W/.test(t[at - 1]);
+    return { score: 1000 + (wordStart ? 100 : 0) - Math.min(at, 100), matches: [{ start: at, end: at + p.length }] };
+  }
+
+  const matches = [];
+  let score = 0;
+  let ti = 0;
+  let prev = -2;
+  for (const ch of p) {
+    if (ch === ' ') continue;
+    const found = t.indexOf(ch, ti);
+    if (found === -1) return null;
+    if (found === prev + 1) {
+      score += 5;
+      matches[matches.length - 1].end = found + 1;
+    } else {
+      score -= Math.min(found - ti, 10);
+      matches.push({ start: found, end: found + 1 });
+    }
+    if (found === 0 || /\W/.test(t[found - 1])) score += 3;
+    prev = found;
+    ti = found + 1;
+  }
+  return { score, matches };
+}
+
+module.exports = {
+  parseQuery,
+  matchEntry,
+  fuzzyMatch
+};
@@ -0,0 +1,189 @@
+// 🔐 sensitiveDetector.js
+// Detects secrets and credentials in clipboard text before it is stored
+
+// A detector is { id, label, find(text), heuristic } where find returns the
+// [{ start, end }] ranges of `text` that look sensitive. `heuristic` detectors
+// guess (and can hit ordinary code), so their matches are never masked.
+const builtInDetectors = [];
+const CODE_PUNCTUATION = /[()[\]{}.,/:;'"`<>]/;
+// Share of the maximum possible entropy (all characters distinct) a
+// password-like token needs; repeated characters pull it below
+const PASSWORD_ENTROPY = 0.85;
+const customDetectors = [];
+let userDetectors = [];
+let highEntropyEnabled = true;
+
+function regexDetector(id, label, regex) {
+  return {
+    id,
+    label,
+    find(text) {
+      const ranges = [];
+      const re = new RegExp(regex.source, regex.flags.includes('g') ? regex.flags : regex.flags + 'g');
+      let m;
+      while ((m = re.exec(text)) !== null) {
+        if (m[0].length === 0) {
+          re.lastIndex++;
+          continue;
+        }
+        ranges.push({ start: m.index, end: m.index + m[0].length });
+      }
+      return ranges;
+    }
+  };
+}
+
+// --------------------------------------------------------------------------
+// 🧰 Built-in Detectors
+// --------------------------------------------------------------------------
+builtInDetectors.push(
+  regexDetector('pem', 'Private key', /-----BEGIN [A-Z0-9 ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z0-9 ]*PRIVATE KEY-----|$)/),
+  regexDetector('awsAccessKey', 'AWS access key', /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/),
+  regexDetector('awsSecretKey', 'AWS secret key', /aws_?secret_?access_?key\s*[:=]\s*["']?[A-Za-z0-9/+=]{40}["']?/i),
+  regexDetector('githubToken', 'GitHub token', /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/),
+  regexDetector('jwt', 'JSON Web Token', /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/),
+  {
+    // A lone, space-free, random-looking line mixing lower/upper case, digits
+    // and symbols, which is what password managers typically put on the
+    // clipboard. Code and URL punctuation rules out calls, member access,
+    // indexing and links; `_` and `-` don't count as symbols (identifiers).
+    id: 'password',
+    label: 'Password-like string',
+    heuristic: true,
+    find(text) {
+      const trimmed = text.trim();
+      if (!/^\S{12,64}$/.test(trimmed) || CODE_PUNCTUATION.test(trimmed)) return [];
+      const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^A-Za-z0-9_-]/].filter(re => re.test(trimmed)).length;
+      if (classes < 4) return [];
+      if (shannonEntropy(trimmed) < PASSWORD_ENTROPY * Math.log2(trimmed.length)) return [];
+      const start = text.indexOf(trimmed);
+      return [{ start, end: start + trimmed.length }];
+    }
+  }
+);
+
+const highEntropyDetector = {
+  id: 'highEntropy',
+  label: 'High-entropy string',
+  heuristic: true,
+  find(text) {
+    const ranges = [];
+    const re = /[A-Za-z0-9+/=_-]{24,}/g;
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      const token = m[0];
+      if (!/[0-9]/.test(token) || !/[A-Za-z]/.test(token)) continue;
+      if (shannonEntropy(token) >= 4) ranges.push({ start: m.index, end: m.index + token.length });
+    }
+    return ranges;
+  }
+};
+
+// Bits per character
+function shannonEntropy(text) {
+  const counts = new Map();
+  for (const ch of text) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+// --------------------------------------------------------------------------
+// ⚙️ Configuration & Extension Points
+// --------------------------------------------------------------------------
+
+// `patterns` are user regex strings from settings; invalid ones are ignored
+function configure(options = {}) {
+  highEntropyEnabled = options.highEntropy !== false;
+  userDetectors = [];
+  (options.patterns || []).forEach((pattern, i) => {
+    try {
+      userDetectors.push(regexDetector(`user${i}`, 'Custom pattern', new RegExp(pattern, 'g')));
+    } catch (e) {
+      console.warn(`[Clipboard Manager] ⚠️ Ignoring invalid sensitive pattern "${pattern}":`, e.message);
+    }
+  });
+}
+
+// Add a detector from other code; returns a function that removes it again
+function registerDetector(detector) {
+  if (!detector || typeof detector.find !== 'function') throw new Error('Detector needs a find(text) function');
+  customDetectors.push(detector);
+  return () => {
+    const idx = customDetectors.indexOf(detector);
+    if (idx !== -1) customDetectors.splice(idx, 1);
+  };
+}
+
+function activeDetectors() {
+  return [
+    ...builtInDetectors,
+    ...(highEntropyEnabled ? [highEntropyDetector] : []),
+    ...userDetectors,
+    ...customDetectors
+  ];
+}
+
+// --------------------------------------------------------------------------
+// 🔍 Detection & Masking
+// --------------------------------------------------------------------------
+
+// Returns { kinds, ranges, certain, maskRanges } for sensitive text, or null
+// when nothing matched. `certain` is false when only heuristic detectors
+// matched; `maskRanges` are the ranges found by the other detectors.
+function detect(text) {
+  if (!text) return null;
+  const kinds = [];
+  const ranges = [];
+  const maskRanges = [];
+  for (const detector of activeDetectors()) {
+    let found = [];
+    try {
+      found = detector.find(text) || [];
+    } catch (e) {
+      console.warn(`[Clipboard Manager] ⚠️ Sensitive detector "${detector.id}" failed:`, e.message);
+    }
+    if (!found.length) continue;
+    if (!kinds.includes(detector.label)) kinds.push(detector.label);
+    ranges.push(...found);
+    if (!detector.heuristic) maskRanges.push(...found);
+  }
+  if (!kinds.length) return null;
+  return { kinds, ranges: mergeRanges(ranges), certain: maskRanges.length > 0, maskRanges: mergeRanges(maskRanges) };
+}
+
+function mergeRanges(ranges) {
+  const sorted = ranges.filter(r => r.end > r.start).sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const r of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && r.start <= last.end) last.end = Math.max(last.end, r.end);
+    else merged.push({ start: r.start, end: r.end });
+  }
+  return merged;
+}
+
+// Keep a short prefix of each sensitive range so the entry stays recognisable.
+// Only ranges from non-heuristic detectors are masked.
+function mask(text, result) {
+  const found = result || detect(text);
+  if (!found) return text;
+  let out = '';
+  let pos = 0;
+  for (const r of found.maskRanges) {
+    const secret = text.slice(r.start, r.end);
+    out += text.slice(pos, r.start) + secret.slice(0, Math.min(4, Math.floor(secret.length / 4))) + '••••••••';
+    pos = r.end;
+  }
+  return out + text.slice(pos);
+}
+
+module.exports = {
+  configure,
+  registerDetector,
+  detect,
+  mask
+};
@@ -0,0 +1,170 @@
+// 📚 snippetCollections.js
+// Read-only snippet collections shared through workspace files
+//
+// A collection file (default `.vscode/clipboard-snippets.json`) looks like:
+// {
+//   "collections": [
+//     {
+//       "name": "Team",
+//       "icon": "rocket",                 // any codicon id, optional
+//       "snippets": [
+//         "plain text",
+//         { "label": "License header", "text": "...", "language": "typescript", "template": false }
+//       ]
+//     }
+//   ]
+// }
+// A file holding a single { name, icon, snippets } object or a bare array of
+// collections works too.
+
+const vscode = require('vscode');
+
+const DEFAULT_FILE = '.vscode/clipboard-snippets.json';
+
+class SnippetCollections {
+  constructor() {
+    this.collections = [];
+    this._watchers = [];
+    this._onDidChange = new vscode.EventEmitter();
+    this.onDidChange = this._onDidChange.event;
+  }
+
+  get glob() {
+    return vscode.workspace.getConfiguration('clipboardManager').get('collections.files', DEFAULT_FILE) || DEFAULT_FILE;
+  }
+
+  // (Re)load every matching file and watch them for changes
+  async start() {
+    this.dispose();
+    const reload = () => this.load();
+    for (const folder of vscode.workspace.workspaceFolders || []) {
+      const watcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(folder, this.glob));
+      watcher.onDidCreate(reload);
+      watcher.onDidChange(reload);
+      watcher.onDidDelete(reload);
+      this._watchers.push(watcher);
+    }
+    await this.load();
+  }
+
+  async load() {
+    const collections = [];
+    let files = [];
+    try {
+      files = await vscode.workspace.findFiles(this.glob, '**/node_modules/**');
+    } catch (err) {
+      console.warn('[Clipboard Manager] ⚠️ Invalid snippet collection glob:', err.message || err);
+    }
+    files.sort((a, b) => a.fsPath.localeCompare(b.fsPath));
+    for (const uri of files) {
+      try {
+        const content = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8');
+        collections.push(...parseCollections(JSON.parse(content), uri));
+      } catch (err) {
+        console.warn(`[Clipboard Manager] ⚠️ Skipping snippet collection ${uri.fsPath}:`, err.message || err);
+      }
+    }
+    this.collections = collections;
+    this._onDidChange.fire();
+  }
+
+  getCollections() {
+    return this.collections;
+  }
+
+  // Snippets are shaped like history entries so paste/copy/transform can use them
+  getEntry(id) {
+    for (const collection of this.collections) {
+      const snippet = collection.snippets.find(s => s.id === id);
+      if (snippet) return snippet;
+    }
+    return null;
+  }
+
+  // Append an entry to a collection, creating the file or collection when needed.
+  // `target` is an existing collection, or { name } for a new one.
+  async addSnippet(target, entry, label) {
+    const uri = target.file || defaultFileUri();
+    if (!uri) throw new Error('Open a workspace folder first');
+
+    let json = { collections: [] };
+    try {
+      json = JSON.parse(Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8'));
+    } catch (err) {
+      if (!(err instanceof vscode.FileSystemError)) throw err;
+    }
+    if (!json || typeof json !== 'object') json = { collections: [] };
+    const list = collectionList(json);
+    const index = target.id ? Number(/#(\d+)$/.exec(target.id)[1]) : -1;
+    let collection = list[index];
+    if (!collection) {
+      collection = { name: target.name, icon: 'library', snippets: [] };
+      // A single-collection file only grows by turning into a container
+      if (list[0] === json && !Array.isArray(json)) json = { collections: list };
+      list.push(collection);
+    }
+    if (!Array.isArray(collection.snippets)) collection.snippets = [];
+
+    const snippet = { label, text: entry.text };
+    if (entry.source && entry.source.languageId) snippet.language = entry.source.languageId;
+    if (entry.template) snippet.template = true;
+    collection.snippets.push(snippet);
+
+    await vscode.workspace.fs.writeFile(uri, Buffer.from(JSON.stringify(json, null, 2) + '\n', 'utf8'));
+    await this.load();
+    return uri;
+  }
+
+  dispose() {
+    this._watchers.forEach(watcher => watcher.dispose());
+    this._watchers = [];
+  }
+}
+
+// The collections a parsed file holds, as the array to edit in place
+function collectionList(json) {
+  if (Array.isArray(json)) return json;
+  return json && Array.isArray(json.collections) ? json.collections : [json];
+}
+
+// Ids carry each collection's index in its file, so addSnippet finds it again
+function parseCollections(json, uri) {
+  const fileName = uri.path.split('/').pop();
+  return collectionList(json)
+    .map((c, ci) => {
+      if (!c || typeof c !== 'object' || !Array.isArray(c.snippets)) return null;
+      const id = `collection:${uri.toString()}#${ci}`;
+      return {
+        id,
+        name: String(c.name || fileName),
+        icon: typeof c.icon === 'string' && c.icon ? c.icon : 'library',
+        file: uri,
+        snippets: c.snippets.map((s, si) => toSnippetEntry(s, `${id}:${si}`)).filter(Boolean)
+      };
+    })
+    .filter(Boolean);
+}
+
+function toSnippetEntry(value, id) {
+  const text = typeof value === 'string' ? value : value && typeof value.text === 'string' ? value.text : null;
+  if (!text) return null;
+  const language = value && typeof value.language === 'string' ? value.language : null;
+  return {
+    id,
+    text: text.replace(/\r\n/g, '\n'),
+    label: value && typeof value.label === 'string' ? value.label : null,
+    createdAt: null,
+    lastUsedAt: null,
+    source: language ? { uri: null, languageId: language, range: null } : null,
+    useCount: 0,
+    template: !!(value && value.template),
+    scope: 'collection'
+  };
+}
+
+function defaultFileUri() {
+  const folder = vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders[0];
+  return folder ? vscode.Uri.joinPath(folder.uri, DEFAULT_FILE) : null;
+}
+
+module.exports = SnippetCollections;
@@ -0,0 +1,52 @@
+const assert = require('assert');
+const captureFilter = require('../captureFilter');
+
+function excluded(files, source) {
+	return captureFilter.excludedBy(captureFilter.compileRules({ files }), source);
+}
+
+const doc = (relativePath) => ({ path: `/work/app/${relativePath}`, relativePath });
+
+suite('captureFilter', () => {
+	test('patterns without a slash match the file name anywhere', () => {
+		assert.ok(excluded(['.env'], doc('.env')));
+		assert.ok(excluded(['.env'], doc('deploy/.env')));
+		assert.ok(excluded(['*.log'], doc('logs/out.log')));
+		assert.strictEqual(excluded(['.env'], doc('.env.example')), null);
+	});
+
+	test('anchored patterns match only that file from the folder root', () => {
+		assert.strictEqual(excluded(['./src/a.js'], doc('src/a.js')), 'file pattern "./src/a.js"');
+		assert.strictEqual(excluded(['./src/a.js'], doc('lib/src/a.js')), null);
+		assert.strictEqual(excluded(['src/a.js'], doc('lib/src/a.js')), null);
+		assert.strictEqual(excluded(['./src/a.js'], doc('src/a.jsx')), null);
+		assert.ok(excluded(['secrets/**'], doc('secrets/prod/key.pem')));
+		assert.strictEqual(excluded(['secrets/**'], doc('app/secrets/key.pem')), null);
+	});
+
+	test('"**/" patterns match at any depth', () => {
+		assert.ok(excluded(['**/config/*.local.json'], doc('config/db.local.json')));
+		assert.ok(excluded(['**/config/*.local.json'], doc('packages/api/config/db.local.json')));
+		assert.strictEqual(excluded(['**/config/*.local.json'], doc('config/nested/db.local.json')), null);
+	});
+
+	test('absolute patterns match the full path, also outside a workspace', () => {
+		assert.ok(excluded(['/work/app/.npmrc'], doc('.npmrc')));
+		assert.ok(excluded(['/home/*/notes.txt'], { path: '/home/ann/notes.txt' }));
+		assert.strictEqual(excluded(['/home/*/notes.txt'], { path: '/home/ann/old/notes.txt' }), null);
+		assert.strictEqual(excluded(['./notes.txt'], { path: '/home/ann/notes.txt' }), null);
+	});
+
+	test('brace alternatives and ? wildcards', () => {
+		assert.ok(excluded(['*.{pem,key}'], doc('certs/site.key')));
+		assert.ok(excluded(['./id_?sa'], doc('id_rsa')));
+		assert.strictEqual(excluded(['*.{pem,key}'], doc('certs/site.crt')), null);
+	});
+
+	test('languages and content patterns', () => {
+		const compiled = captureFilter.compileRules({ languages: ['DotEnv'], content: '^password=' });
+		assert.strictEqual(captureFilter.excludedBy(compiled, { languageId: 'dotenv' }), 'language "dotenv"');
+		assert.strictEqual(captureFilter.excludedBy(compiled, { text: 'user=a\npassword=b' }), 'content pattern');
+		assert.strictEqual(captureFilter.excludedBy(compiled, { languageId: 'javascript', text: 'x' }), null);
+	});
+});
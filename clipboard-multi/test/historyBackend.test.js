@@ -0,0 +1,137 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const historyBackend = require('../historyBackend');
+
+const DAY = 24 * 60 * 60 * 1000;
+const texts = (list) => list.map(entry => entry.text);
+
+suite('historyBackend', () => {
+	let dir;
+
+	// init keeps what is loaded when the file is missing, so always start from a file
+	function load(data = {}) {
+		const file = path.join(dir, 'history.json');
+		fs.writeFileSync(file, JSON.stringify({ slots: {}, history: [], pinned: [], journal: { undo: [], redo: [] }, folders: [], trash: [], ...data }));
+		historyBackend.init(file, null);
+	}
+
+	setup(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cm-backend-'));
+		historyBackend.configure({ maxEntries: 100, maxTotalBytes: 0, maxAgeDays: 0, trashDays: 7, sensitive: { action: 'off' } });
+		load();
+	});
+
+	teardown(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+	suite('journal', () => {
+		test('undo after delete brings the entry back with the same id', async () => {
+			await historyBackend.addToHistory('first');
+			await historyBackend.addToHistory('second');
+			const [entry] = historyBackend.getAll().history;
+			assert.strictEqual(entry.text, 'second');
+
+			await historyBackend.deleteItem(entry.id);
+			assert.deepStrictEqual(texts(historyBackend.getAll().history), ['first']);
+
+			const step = await historyBackend.undo();
+			assert.strictEqual(step.type, 'delete');
+			const restored = historyBackend.getAll().history;
+			assert.deepStrictEqual(texts(restored), ['second', 'first']);
+			assert.strictEqual(restored[0].id, entry.id);
+		});
+
+		test('redo repeats the undone step and a new change clears redo', async () => {
+			await historyBackend.addToHistory('keep');
+			const id = historyBackend.getAll().history[0].id;
+			await historyBackend.pinItem(id);
+			assert.deepStrictEqual(texts(historyBackend.getAll().pinned), ['keep']);
+
+			await historyBackend.undo();
+			assert.deepStrictEqual(historyBackend.getAll().pinned, []);
+			assert.strictEqual(historyBackend.getJournal().redo.length, 1);
+
+			await historyBackend.redo();
+			assert.deepStrictEqual(texts(historyBackend.getAll().pinned), ['keep']);
+			assert.strictEqual(historyBackend.getAll().pinned[0].id, id);
+
+			await historyBackend.undo();
+			await historyBackend.addToHistory('other');
+			assert.deepStrictEqual(historyBackend.getJournal().redo, []);
+		});
+
+		test('the journal survives a reload from disk', async () => {
+			await historyBackend.addToHistory('saved');
+			historyBackend.init(path.join(dir, 'history.json'), null);
+			assert.deepStrictEqual(historyBackend.getJournal().undo.map(r => r.type), ['add']);
+			await historyBackend.undo();
+			assert.deepStrictEqual(historyBackend.getAll().history, []);
+			assert.strictEqual(await historyBackend.undo(), null);
+		});
+	});
+
+	suite('trash', () => {
+		test('deleted entries go to the trash until the retention period ends', async () => {
+			await historyBackend.addToHistory('gone');
+			const { id } = historyBackend.getAll().history[0];
+			await historyBackend.deleteItem(id);
+
+			const [trashed] = historyBackend.getTrash();
+			assert.strictEqual(trashed.id, id);
+			assert.strictEqual(trashed.from, 'history');
+			assert.strictEqual(trashed.purgeAt, trashed.deletedAt + 7 * DAY);
+		});
+
+		test('restore puts entries back where they came from with the same id', async () => {
+			await historyBackend.addToHistory('pin me');
+			await historyBackend.addToHistory('plain');
+			const [plain, pinned] = historyBackend.getAll().history;
+			await historyBackend.pinItem(pinned.id);
+			await historyBackend.clearHistory();
+			await historyBackend.deleteItem(pinned.id);
+			assert.deepStrictEqual(historyBackend.getAll().history, []);
+			assert.deepStrictEqual(historyBackend.getAll().pinned, []);
+
+			assert.strictEqual(await historyBackend.restoreAll(), true);
+			const all = historyBackend.getAll();
+			assert.deepStrictEqual(all.history.map(e => e.id), [plain.id]);
+			assert.deepStrictEqual(all.pinned.map(e => e.id), [pinned.id]);
+			assert.deepStrictEqual(historyBackend.getTrash(), []);
+
+			await historyBackend.undo();
+			assert.deepStrictEqual(texts(historyBackend.getTrash()).sort(), ['pin me', 'plain']);
+		});
+
+		test('entries past the retention period are purged and cannot be restored', async () => {
+			const entry = (id, text) => ({ id, text, createdAt: Date.now() - 10 * DAY, lastUsedAt: null, source: null, useCount: 0 });
+			load({
+				trash: [
+					{ entry: entry('recent', 'deleted yesterday'), from: 'history', deletedAt: Date.now() - DAY },
+					{ entry: entry('old', 'deleted last week'), from: 'history', deletedAt: Date.now() - 8 * DAY }
+				]
+			});
+			assert.strictEqual(await historyBackend.pruneHistory(), 1);
+			assert.deepStrictEqual(historyBackend.getTrash().map(e => e.id), ['recent']);
+			assert.strictEqual(await historyBackend.restoreItem('old'), false);
+			assert.strictEqual(await historyBackend.restoreItem('recent'), true);
+			assert.deepStrictEqual(texts(historyBackend.getAll().history), ['deleted yesterday']);
+		});
+
+		test('with no retention, deletions are permanent', async () => {
+			historyBackend.configure({ trashDays: 0 });
+			await historyBackend.addToHistory('forever gone');
+			await historyBackend.deleteItem(historyBackend.getAll().history[0].id);
+			assert.deepStrictEqual(historyBackend.getTrash(), []);
+		});
+
+		test('emptying the trash also removes the entries from the journal', async () => {
+			await historyBackend.addToHistory('secret-ish');
+			await historyBackend.deleteItem(historyBackend.getAll().history[0].id);
+			assert.strictEqual(historyBackend.emptyTrash(), true);
+			assert.deepStrictEqual(historyBackend.getTrash(), []);
+			assert.strictEqual(await historyBackend.undo(), null);
+			assert.deepStrictEqual(historyBackend.getAll().history, []);
+		});
+	});
+});
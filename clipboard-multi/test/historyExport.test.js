@@ -0,0 +1,63 @@
+const assert = require('assert');
+const historyExport = require('../historyExport');
+
+const entry = (text, languageId) => ({ text, source: languageId ? { languageId } : null });
+
+const data = {
+	version: 1,
+	exportedAt: Date.UTC(2024, 0, 2),
+	slots: { 1: entry('slot one', 'javascript') },
+	pinned: [entry('const a = 1;', 'typescript')],
+	history: [entry('plain'), entry('with ```fence``` inside', 'markdown'), entry('before\n%\n%%\nafter')]
+};
+
+function texts(list) {
+	return list.map(item => typeof item === 'string' ? item : item.text);
+}
+
+suite('historyExport', () => {
+	test('picks the format from the file extension', () => {
+		assert.strictEqual(historyExport.formatForFile('a.JSON'), 'json');
+		assert.strictEqual(historyExport.formatForFile('notes.md'), 'markdown');
+		assert.strictEqual(historyExport.formatForFile('dump.txt'), 'text');
+		assert.strictEqual(historyExport.formatForFile('noext'), 'text');
+	});
+
+	test('json round-trips the full model', () => {
+		const parsed = historyExport.parse(historyExport.serialize(data, 'json'), 'json');
+		assert.deepStrictEqual(parsed, { slots: data.slots, pinned: data.pinned, history: data.history });
+	});
+
+	test('json reads a bare array as history and rejects other objects', () => {
+		assert.deepStrictEqual(historyExport.parse('["a","b"]', 'json'), { slots: {}, pinned: [], history: ['a', 'b'] });
+		assert.throws(() => historyExport.parse('{"foo":1}', 'json'), /Not a Clipboard Manager export/);
+	});
+
+	test('markdown keeps sections, slots, languages and backtick runs', () => {
+		const parsed = historyExport.parse(historyExport.serialize(data, 'markdown'), 'markdown');
+		assert.deepStrictEqual(Object.keys(parsed.slots), ['1']);
+		assert.strictEqual(parsed.slots[1].text, 'slot one');
+		assert.strictEqual(parsed.slots[1].source.languageId, 'javascript');
+		assert.deepStrictEqual(texts(parsed.pinned), ['const a = 1;']);
+		assert.strictEqual(parsed.pinned[0].source.languageId, 'typescript');
+		assert.deepStrictEqual(texts(parsed.history), texts(data.history));
+	});
+
+	test('markdown rejects an unclosed code block', () => {
+		assert.throws(() => historyExport.parse('## History\n\n```\nopen', 'markdown'), /Unclosed code block/);
+	});
+
+	test('text keeps entries holding separator lines', () => {
+		const content = historyExport.serialize(data, 'text');
+		const parsed = historyExport.parse(content, 'text');
+		assert.deepStrictEqual(parsed.history, ['slot one', 'const a = 1;', ...texts(data.history)]);
+		assert.deepStrictEqual(parsed.slots, {});
+		assert.deepStrictEqual(parsed.pinned, []);
+	});
+
+	test('text drops duplicates and reads CRLF files', () => {
+		const content = historyExport.serialize({ slots: {}, pinned: [entry('a')], history: [entry('a'), entry('b')] }, 'text');
+		assert.strictEqual(content, 'a\n%\nb\n');
+		assert.deepStrictEqual(historyExport.parse('a\r\n%\r\nb\r\n', 'text').history, ['a', 'b']);
+	});
+});
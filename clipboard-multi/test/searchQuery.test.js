@@ -0,0 +1,64 @@
+const assert = require('assert');
+const searchQuery = require('../searchQuery');
+
+const HOUR = 60 * 60 * 1000;
+
+function entry(text, fields = {}) {
+	return { text, createdAt: Date.now(), lastUsedAt: Date.now(), source: null, tags: [], ...fields };
+}
+
+suite('searchQuery', () => {
+	test('parses filters and leaves the rest as text', () => {
+		const parsed = searchQuery.parseQuery('lang:ts tag:#API from:cut pinned: hello world');
+		assert.deepStrictEqual(parsed.locations, ['pinned']);
+		assert.deepStrictEqual(parsed.languages, ['typescript']);
+		assert.deepStrictEqual(parsed.tags, ['api']);
+		assert.deepStrictEqual(parsed.origins, ['cut']);
+		assert.strictEqual(parsed.text, 'hello world');
+		assert.strictEqual(parsed.regex, null);
+	});
+
+	test('parses slot names, durations and regexes', () => {
+		const parsed = searchQuery.parseQuery('slot:3 since:2h /fo+\\d/gi');
+		assert.deepStrictEqual(parsed.locations, ['slot']);
+		assert.strictEqual(parsed.slot, '3');
+		assert.ok(Math.abs(parsed.since - (Date.now() - 2 * HOUR)) < 1000);
+		assert.strictEqual(parsed.regex.source, 'fo+\\d');
+		assert.strictEqual(parsed.regex.flags, 'i');
+		assert.throws(() => searchQuery.parseQuery('/(unclosed/'));
+	});
+
+	test('filters by location, slot, language, age, tag and origin', () => {
+		const ts = entry('x', { source: { languageId: 'typescript' }, tags: ['api', 'db'], origin: 'cut' });
+		const match = (query, e, location = 'history', slot) => !!searchQuery.matchEntry(searchQuery.parseQuery(query), e, location, slot);
+		assert.ok(match('history:', ts));
+		assert.ok(!match('pinned:', ts));
+		assert.ok(match('slot:2', ts, 'slot', 2));
+		assert.ok(!match('slot:2', ts, 'slot', 3));
+		assert.ok(match('lang:ts', ts));
+		assert.ok(!match('lang:py', ts));
+		assert.ok(match('tag:api tag:db', ts));
+		assert.ok(!match('tag:api tag:ui', ts));
+		assert.ok(match('from:cut', ts));
+		assert.ok(!match('from:terminal', ts));
+		assert.ok(match('since:1h', ts));
+		assert.ok(!match('since:1h', entry('old', { createdAt: Date.now() - 3 * HOUR, lastUsedAt: null })));
+	});
+
+	test('regex matches report the matched range', () => {
+		const result = searchQuery.matchEntry(searchQuery.parseQuery('/b+c/'), entry('abbbcd'), 'history');
+		assert.deepStrictEqual(result.matches, [{ start: 1, end: 5 }]);
+		assert.strictEqual(searchQuery.matchEntry(searchQuery.parseQuery('/z/'), entry('abc'), 'history'), null);
+	});
+
+	test('fuzzy matching ranks substrings and word starts first', () => {
+		const substring = searchQuery.fuzzyMatch('user', 'getUserName');
+		const wordStart = searchQuery.fuzzyMatch('user', 'the user name');
+		const scattered = searchQuery.fuzzyMatch('gun', 'getUserName');
+		assert.deepStrictEqual(substring.matches, [{ start: 3, end: 7 }]);
+		assert.ok(wordStart.score > substring.score);
+		assert.ok(substring.score > scattered.score);
+		assert.deepStrictEqual(scattered.matches, [{ start: 0, end: 1 }, { start: 3, end: 4 }, { start: 7, end: 8 }]);
+		assert.strictEqual(searchQuery.fuzzyMatch('xyz', 'getUserName'), null);
+	});
+});
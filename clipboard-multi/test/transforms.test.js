@@ -0,0 +1,35 @@
+const assert = require('assert');
+const transforms = require('../transforms');
+
+function apply(id, text) {
+	return transforms.getTransforms().find(t => t.id === id).apply(text, {});
+}
+
+suite('transforms', () => {
+	test('string escape and unescape round-trip', () => {
+		for (const text of [
+			'plain',
+			'say "hi" and \'bye\'',
+			'a\\b\\\\c',
+			'x\\" y',
+			'line 1\nline 2\r\n\ttabbed',
+			'bell\u0007 nul\u0000 ünïcödé 🎉'
+		]) {
+			assert.strictEqual(apply('stringUnescape', apply('stringEscape', text)), text, JSON.stringify(text));
+		}
+	});
+
+	test('string unescape handles escaped backslashes before quotes', () => {
+		assert.strictEqual(apply('stringUnescape', 'x\\\\" y'), 'x\\" y');
+		assert.strictEqual(apply('stringUnescape', 'it\\\'s \\u00e9'), 'it\'s é');
+	});
+
+	test('string unescape keeps unknown escapes', () => {
+		assert.strictEqual(apply('stringUnescape', 'C:\\dir\\n'), 'C:\\dir\n');
+		assert.strictEqual(apply('stringUnescape', 'bad \\u12 end\\'), 'bad \\u12 end\\');
+	});
+
+	test('dedent ignores an unindented first line', () => {
+		assert.strictEqual(transforms.dedent('if (x) {\n    a();\n  }'), 'if (x) {\n  a();\n}');
+	});
+});
@@ -0,0 +1,71 @@
+// 🔧 transformPicker.js
+// QuickPick that builds a chain of transforms with a live preview of the result
+
+const vscode = require('vscode');
+const transforms = require('./transforms');
+
+const PREVIEW_WIDTH = 120;
+
+// Resolves to the transformed text, or undefined when cancelled.
+// `ctx` is passed to every transform (see transforms.js).
+function showTransformPicker(text, ctx) {
+  return new Promise((resolve) => {
+    const picker = vscode.window.createQuickPick();
+    const chain = [];
+    let current = text;
+    let result;
+
+    const update = () => {
+      picker.title = chain.length ? `🔧 ${chain.map(t => t.label).join(' → ')}` : '🔧 Paste Transformed';
+      picker.placeholder = 'Pick transforms to apply in order, then Paste';
+      const pasteItem = { label: '$(check) Paste', detail: preview(current), alwaysShow: true, action: 'paste' };
+      picker.items = [
+        pasteItem,
+        ...(chain.length ? [{ label: '$(discard) Undo last transform', alwaysShow: true, action: 'undo' }] : []),
+        { label: 'Transforms', kind: vscode.QuickPickItemKind.Separator },
+        ...transforms.getTransforms().map(t => ({ label: t.label, description: t.custom ? 'custom' : undefined, transform: t }))
+      ];
+      picker.value = '';
+      picker.activeItems = [pasteItem];
+    };
+
+    picker.onDidAccept(() => {
+      const [item] = picker.selectedItems;
+      if (!item) return;
+      if (item.action === 'paste') {
+        result = current;
+        picker.hide();
+        return;
+      }
+      if (item.action === 'undo') {
+        chain.pop();
+        current = chain.reduce((value, t) => t.apply(value, ctx), text);
+      } else {
+        try {
+          current = item.transform.apply(current, ctx);
+          chain.push(item.transform);
+        } catch (err) {
+          vscode.window.showWarningMessage(`⚠️ ${item.transform.label} failed: ${err.message}`);
+        }
+      }
+      update();
+    });
+
+    picker.onDidHide(() => {
+      picker.dispose();
+      resolve(result);
+    });
+
+    update();
+    picker.show();
+  });
+}
+
+function preview(text) {
+  const flat = text.replace(/\r?\n/g, ' ↵ ');
+  return flat.length > PREVIEW_WIDTH ? flat.slice(0, PREVIEW_WIDTH) + '…' : flat || '[Empty]';
+}
+
+module.exports = {
+  showTransformPicker
+};
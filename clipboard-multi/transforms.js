@@ -0,0 +1,202 @@
+// 🔧 transforms.js
+// Text transforms applied to entries by "Paste Transformed"
+
+// A transform is { id, label, apply(text, ctx) } where ctx describes the paste
+// target: { indent, languageId, insertSpaces, tabSize }. apply throws when the text doesn't fit
+// (e.g. invalid Base64); the message is shown to the user.
+const builtInTransforms = [];
+let userTransforms = [];
+
+// Line / block comment syntax by languageId
+const LINE_COMMENTS = {
+  '//': ['javascript', 'typescript', 'javascriptreact', 'typescriptreact', 'c', 'cpp', 'csharp', 'java', 'go', 'rust',
+    'swift', 'kotlin', 'scala', 'php', 'dart', 'jsonc', 'less', 'scss', 'groovy', 'objective-c', 'fsharp'],
+  '#': ['python', 'ruby', 'shellscript', 'perl', 'r', 'yaml', 'toml', 'dockerfile', 'makefile', 'powershell',
+    'coffeescript', 'elixir', 'julia', 'properties', 'cmake', 'nix'],
+  '--': ['sql', 'lua', 'haskell', 'elm'],
+  '%': ['latex', 'tex', 'matlab', 'erlang'],
+  ';': ['clojure', 'lisp', 'scheme', 'ini'],
+  "'": ['vb'],
+  'REM': ['bat']
+};
+const BLOCK_COMMENTS = {
+  css: ['/*', '*/'],
+  html: ['<!--', '-->'],
+  xml: ['<!--', '-->'],
+  markdown: ['<!--', '-->'],
+  vue: ['<!--', '-->'],
+  svelte: ['<!--', '-->']
+};
+
+function commentSyntax(languageId) {
+  for (const token of Object.keys(LINE_COMMENTS)) {
+    if (LINE_COMMENTS[token].includes(languageId)) return { line: token };
+  }
+  return BLOCK_COMMENTS[languageId] ? { block: BLOCK_COMMENTS[languageId] } : null;
+}
+
+// --------------------------------------------------------------------------
+// 🧰 Helpers
+// --------------------------------------------------------------------------
+
+// "fooBar baz-qux" -> ['foo', 'bar', 'baz', 'qux']
+function splitWords(line) {
+  return line
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+}
+
+// Convert each line's words, keeping the line's indentation
+function caseTransform(join) {
+  return (text) => text.split('\n').map((line) => {
+    const indent = line.match(/^\s*/)[0];
+    const words = splitWords(line);
+    return words.length ? indent + join(words) : line;
+  }).join('\n');
+}
+
+// Remove the indentation all non-blank lines share. A first line without
+// indentation usually means the copy started after it, so it doesn't count.
+function dedent(text) {
+  const lines = text.split('\n');
+  let counted = lines.filter(line => line.trim());
+  if (counted.length > 1 && lines[0].trim() && !/^[ \t]/.test(lines[0])) counted = counted.slice(1);
+  const indents = counted.map(line => line.match(/^[ \t]*/)[0]);
+  if (!indents.length) return text;
+  let common = indents[0];
+  for (const indent of indents) {
+    while (!indent.startsWith(common)) common = common.slice(0, -1);
+  }
+  return common ? lines.map(line => line.startsWith(common) ? line.slice(common.length) : line.trimStart()).join('\n') : text;
+}
+
+// Dedent, then indent every line after the first by `indent` (the first line
+// is inserted at the cursor, which already sits at that indentation).
+// With `insertSpaces` set, the remaining relative indentation is converted to
+// the target's tabs/spaces using `tabSize`.
+function reindent(text, indent, options = {}) {
+  const lines = dedent(text).split('\n');
+  return lines.map((line, i) => {
+    if (i === 0) return line;
+    if (!line.trim()) return '';
+    const own = line.match(/^[ \t]*/)[0];
+    return indent + convertIndent(own, options) + line.slice(own.length);
+  }).join('\n');
+}
+
+function convertIndent(whitespace, { insertSpaces, tabSize = 4 }) {
+  if (insertSpaces === undefined || !whitespace) return whitespace;
+  let columns = 0;
+  for (const ch of whitespace) columns += ch === '\t' ? tabSize - (columns % tabSize) : 1;
+  return insertSpaces ? ' '.repeat(columns) : '\t'.repeat(Math.floor(columns / tabSize)) + ' '.repeat(columns % tabSize);
+}
+
+function escapeString(text) {
+  return JSON.stringify(text).slice(1, -1).replace(/'/g, "\\'");
+}
+
+const UNESCAPES = { '\\': '\\', '"': '"', "'": "'", n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+// Undo escapeString; unknown escapes such as "C:\dir" are kept as written
+function unescapeString(text) {
+  let out = '';
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    const next = text[i + 1];
+    if (ch !== '\\' || next === undefined) {
+      out += ch;
+    } else if (next in UNESCAPES) {
+      out += UNESCAPES[next];
+      i++;
+    } else if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(text.slice(i + 2, i + 6))) {
+      out += String.fromCharCode(parseInt(text.slice(i + 2, i + 6), 16));
+      i += 5;
+    } else {
+      out += ch;
+    }
+  }
+  return out;
+}
+
+// --------------------------------------------------------------------------
+// 🧩 Built-in Transforms
+// --------------------------------------------------------------------------
+builtInTransforms.push(
+  { id: 'camelCase', label: 'camelCase', apply: caseTransform(words => words[0] + words.slice(1).map(w => w[0].toUpperCase() + w.slice(1)).join('')) },
+  { id: 'snakeCase', label: 'snake_case', apply: caseTransform(words => words.join('_')) },
+  { id: 'kebabCase', label: 'kebab-case', apply: caseTransform(words => words.join('-')) },
+  { id: 'jsonEscape', label: 'JSON escape (quoted string)', apply: text => JSON.stringify(text) },
+  {
+    id: 'jsonUnescape',
+    label: 'JSON unescape',
+    apply(text) {
+      const value = JSON.parse(text.trim());
+      if (typeof value !== 'string') throw new Error('Not a JSON string');
+      return value;
+    }
+  },
+  { id: 'stringEscape', label: 'String escape (\\n, \\", \\\')', apply: escapeString },
+  { id: 'stringUnescape', label: 'String unescape', apply: unescapeString },
+  { id: 'urlEncode', label: 'URL encode', apply: text => encodeURIComponent(text) },
+  { id: 'urlDecode', label: 'URL decode', apply: text => decodeURIComponent(text) },
+  { id: 'base64Encode', label: 'Base64 encode', apply: text => Buffer.from(text, 'utf8').toString('base64') },
+  {
+    id: 'base64Decode',
+    label: 'Base64 decode',
+    apply(text) {
+      const clean = text.replace(/\s+/g, '');
+      if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(clean)) throw new Error('Not valid Base64');
+      return Buffer.from(clean, 'base64').toString('utf8');
+    }
+  },
+  { id: 'trim', label: 'Trim whitespace', apply: text => text.split('\n').map(line => line.trimEnd()).join('\n').trim() },
+  { id: 'reindent', label: 'Re-indent to cursor', apply: (text, ctx) => reindent(text, ctx.indent || '', ctx) },
+  {
+    id: 'comment',
+    label: 'Wrap in comment',
+    apply(text, ctx) {
+      const syntax = commentSyntax(ctx.languageId);
+      if (!syntax) throw new Error(`No comment syntax known for "${ctx.languageId}"`);
+      if (syntax.block) return `${syntax.block[0]} ${text} ${syntax.block[1]}`;
+      return text.split('\n').map(line => (line.trim() ? `${syntax.line} ${line}` : syntax.line)).join('\n');
+    }
+  }
+);
+
+// --------------------------------------------------------------------------
+// ⚙️ Configuration
+// --------------------------------------------------------------------------
+
+// `custom` is [{ name, find, replace, flags }] from settings; invalid regexes are ignored
+function configure(options = {}) {
+  userTransforms = [];
+  (options.custom || []).forEach((def, i) => {
+    if (!def || typeof def.find !== 'string') return;
+    try {
+      const regex = new RegExp(def.find, typeof def.flags === 'string' ? def.flags : 'g');
+      const replace = typeof def.replace === 'string' ? def.replace : '';
+      userTransforms.push({
+        id: `user${i}`,
+        label: def.name || `Replace /${def.find}/`,
+        custom: true,
+        apply: text => text.replace(regex, replace)
+      });
+    } catch (e) {
+      console.warn(`[Clipboard Manager] ⚠️ Ignoring invalid transform "${def.name || def.find}":`, e.message);
+    }
+  });
+}
+
+function getTransforms() {
+  return [...builtInTransforms, ...userTransforms];
+}
+
+module.exports = {
+  configure,
+  getTransforms,
+  dedent,
+  reindent
+};